@@ -0,0 +1,105 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const bcrypt = require("bcrypt");
+
+const { app, internals, accounts, createAdmin, bearer } = require("./helpers");
+const { AdminUser } = internals;
+
+describe("first admin from environment credentials", () => {
+  function withEnvCredentials(t) {
+    process.env.ADMIN = "root@example.com";
+    process.env.PASSWORD = "bootstrap1";
+    t.after(() => {
+      delete process.env.ADMIN;
+      delete process.env.PASSWORD;
+    });
+    t.mock.method(AdminUser, "findOne", async () => null);
+  }
+
+  it("seeds a hashed super admin while there are no admins", async (t) => {
+    withEnvCredentials(t);
+    t.mock.method(AdminUser, "countDocuments", async () => 0);
+    const create = t.mock.method(AdminUser, "create", async (fields) => {
+      const admin = new AdminUser(fields);
+      accounts.set(admin._id.toString(), admin);
+      return admin;
+    });
+
+    const res = await request(app).post("/api/login").send({ email: "root@example.com", password: "bootstrap1" });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.role, "super-admin");
+    const seeded = create.mock.calls[0].arguments[0];
+    assert.notEqual(seeded.password, "bootstrap1");
+    assert.equal(await bcrypt.compare("bootstrap1", seeded.password), true);
+  });
+
+  it("stops accepting them once an admin exists", async (t) => {
+    withEnvCredentials(t);
+    t.mock.method(AdminUser, "countDocuments", async () => 1);
+    const create = t.mock.method(AdminUser, "create", async () => assert.fail("must not seed"));
+
+    const res = await request(app).post("/api/login").send({ email: "root@example.com", password: "bootstrap1" });
+
+    assert.equal(res.status, 401);
+    assert.equal(create.mock.callCount(), 0);
+  });
+});
+
+describe("POST /api/admins", () => {
+  const superAdmin = createAdmin();
+
+  it("stores the new admin's password hashed", async (t) => {
+    const saved = [];
+    t.mock.method(AdminUser.prototype, "save", async function () {
+      saved.push(this);
+      return this;
+    });
+
+    const res = await request(app)
+      .post("/api/admins")
+      .set("Authorization", bearer(superAdmin))
+      .send({ email: "new@example.com", password: "secret1", role: "station-incharge", policeStation: "Saddar" });
+
+    assert.equal(res.status, 201);
+    assert.equal(saved.length, 1);
+    assert.equal(await bcrypt.compare("secret1", saved[0].password), true);
+  });
+
+  it("requires a station for a station incharge and refuses the constable role", async () => {
+    const missingStation = await request(app)
+      .post("/api/admins")
+      .set("Authorization", bearer(superAdmin))
+      .send({ email: "a@example.com", password: "secret1", role: "station-incharge" });
+    assert.equal(missingStation.status, 400);
+    assert.equal(missingStation.body.errors[0].field, "policeStation");
+
+    const constable = await request(app)
+      .post("/api/admins")
+      .set("Authorization", bearer(superAdmin))
+      .send({ email: "b@example.com", password: "secret1", role: "constable" });
+    assert.equal(constable.status, 400);
+  });
+
+  it("answers 409 for an email already in use", async (t) => {
+    t.mock.method(AdminUser.prototype, "save", async () => {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    });
+
+    const res = await request(app)
+      .post("/api/admins")
+      .set("Authorization", bearer(superAdmin))
+      .send({ email: "admin@example.com", password: "secret1", role: "super-admin" });
+    assert.equal(res.status, 409);
+  });
+
+  it("is reserved for super admins", async () => {
+    const incharge = createAdmin({ email: "i@example.com", role: "station-incharge", policeStation: "Saddar" });
+    const res = await request(app)
+      .post("/api/admins")
+      .set("Authorization", bearer(incharge))
+      .send({ email: "c@example.com", password: "secret1", role: "super-admin" });
+    assert.equal(res.status, 403);
+  });
+});
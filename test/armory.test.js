@@ -0,0 +1,137 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+
+const { app, internals, createAdmin, bearer, stubSession } = require("./helpers");
+const { Duty, Constable, PoliceStation, Weapon, AmmoStock, WeaponIssue } = internals;
+
+const saddar = new PoliceStation({ name: "Saddar" });
+const armorer = createAdmin({ email: "armory@example.com", role: "station-incharge", policeStation: "Saddar" });
+
+const newWeapon = (fields = {}) =>
+  new Weapon({ type: "SMG", serialNumber: "SMG-1001", caliber: "7.62mm", station: saddar._id, policeStation: "Saddar", ...fields });
+
+describe("issuing weapons", () => {
+  const constable = new Constable({ badgeNumber: "K-1", policeStation: "Saddar" });
+
+  function stubIssue(t, weapon, { claimed = true, stock = true } = {}) {
+    t.mock.method(Weapon, "findById", async () => weapon);
+    t.mock.method(Constable, "findOne", async () => constable);
+    const draw = t.mock.method(AmmoStock, "findOneAndUpdate", async () => (stock ? new AmmoStock({ quantity: 100 }) : null));
+    const refund = t.mock.method(AmmoStock, "updateOne", async () => ({ modifiedCount: 1 }));
+    t.mock.method(Weapon, "findOneAndUpdate", async () => (claimed ? newWeapon({ _id: weapon._id, status: "issued" }) : null));
+    const create = t.mock.method(WeaponIssue, "create", async (fields) => new WeaponIssue(fields));
+    return { draw, refund, create };
+  }
+
+  const issue = (body) => request(app).post("/api/armory/issues").set("Authorization", bearer(armorer)).send(body);
+
+  it("issues a weapon with rounds, due at the end of the duty's shift", async (t) => {
+    const weapon = newWeapon();
+    const { draw, create } = stubIssue(t, weapon);
+    const duty = new Duty({ badgeNumber: "K-1", dutyDate: "2026-06-10", shift: "9pm to 6am" });
+    t.mock.method(Duty, "findById", async () => duty);
+
+    const res = await issue({ weapon: weapon._id.toString(), badgeNumber: "K-1", duty: duty._id.toString(), rounds: 30 });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.dueAt, "2026-06-11T06:00:00.000Z");
+    assert.deepEqual(draw.mock.calls[0].arguments[0].quantity, { $gte: 30 });
+    assert.equal(create.mock.calls[0].arguments[0].ammo.rounds, 30);
+  });
+
+  it("refuses rounds beyond the stock", async (t) => {
+    const weapon = newWeapon();
+    stubIssue(t, weapon, { stock: false });
+    const res = await issue({ weapon: weapon._id.toString(), badgeNumber: "K-1", rounds: 500 });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.message, "Not enough 7.62mm rounds in stock");
+  });
+
+  it("puts the rounds back when the weapon was issued in the meantime", async (t) => {
+    const weapon = newWeapon();
+    const { refund, create } = stubIssue(t, weapon, { claimed: false });
+    const res = await issue({ weapon: weapon._id.toString(), badgeNumber: "K-1", rounds: 30 });
+
+    assert.equal(res.status, 409);
+    assert.deepEqual(refund.mock.calls[0].arguments[1], { $inc: { quantity: 30 } });
+    assert.equal(create.mock.callCount(), 0);
+  });
+});
+
+describe("returning weapons", () => {
+  const newIssue = (weapon, fields = {}) =>
+    new WeaponIssue({
+      weapon: weapon._id,
+      badgeNumber: "K-1",
+      policeStation: "Saddar",
+      dueAt: new Date(),
+      ammo: { caliber: "7.62mm", rounds: 30 },
+      ...fields,
+    });
+
+  function stubReturn(t, issue, weapon, { closed = 1 } = {}) {
+    t.mock.method(WeaponIssue, "findById", async () => issue);
+    t.mock.method(Weapon, "findById", async () => weapon);
+    const session = stubSession(t);
+    const close = t.mock.method(WeaponIssue, "updateOne", async () => ({ modifiedCount: closed }));
+    const restock = t.mock.method(Weapon, "updateOne", async () => ({ modifiedCount: 1 }));
+    const rounds = t.mock.method(AmmoStock, "updateOne", async () => ({ modifiedCount: 1 }));
+    return { session, close, restock, rounds };
+  }
+
+  const giveBack = (issue, body) =>
+    request(app).post(`/api/armory/issues/${issue._id}/return`).set("Authorization", bearer(armorer)).send(body);
+
+  it("closes the issue and restocks the weapon and rounds in one transaction", async (t) => {
+    const weapon = newWeapon({ status: "issued" });
+    const issue = newIssue(weapon);
+    const { session, close, restock, rounds } = stubReturn(t, issue, weapon);
+
+    const res = await giveBack(issue, { roundsReturned: 12, condition: "needs-repair" });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.roundsReturned, 12);
+    assert.equal(session.committed, true);
+    for (const update of [close, restock, rounds]) assert.equal(update.mock.calls[0].arguments[2].session, session);
+    assert.deepEqual(close.mock.calls[0].arguments[0], { _id: issue._id, returnedAt: null });
+    assert.deepEqual(restock.mock.calls[0].arguments[1], { status: "in-armory", condition: "needs-repair" });
+    assert.deepEqual(rounds.mock.calls[0].arguments[1], { $inc: { quantity: 12 } });
+  });
+
+  it("answers 409 and restocks nothing when a concurrent return closed the issue", async (t) => {
+    const weapon = newWeapon({ status: "issued" });
+    const issue = newIssue(weapon);
+    const { restock, rounds } = stubReturn(t, issue, weapon, { closed: 0 });
+
+    const res = await giveBack(issue, { roundsReturned: 12 });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.message, "Weapon has already been returned");
+    assert.equal(restock.mock.callCount(), 0);
+    assert.equal(rounds.mock.callCount(), 0);
+  });
+
+  it("refuses more rounds than were issued", async (t) => {
+    const weapon = newWeapon({ status: "issued" });
+    const issue = newIssue(weapon);
+    stubReturn(t, issue, weapon);
+    const res = await giveBack(issue, { roundsReturned: 31 });
+    assert.equal(res.status, 400);
+  });
+
+  it("refuses a return for a missing weapon or one not out on issue", async (t) => {
+    const weapon = newWeapon({ status: "retired" });
+    const issue = newIssue(weapon);
+    const { close } = stubReturn(t, issue, weapon);
+
+    const retired = await giveBack(issue, {});
+    assert.equal(retired.status, 409);
+    assert.equal(retired.body.message, "Weapon is recorded as retired, not issued");
+
+    Weapon.findById.mock.mockImplementation(async () => null);
+    const missing = await giveBack(issue, {});
+    assert.equal(missing.status, 404);
+    assert.equal(close.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,152 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+
+const { app, internals, createAdmin, createPoliceUser, bearer } = require("./helpers");
+const { Duty, Attendance, getShiftInterval, deriveAttendance, closeOutAttendance, monthRange, summarizeAttendance } =
+  internals;
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const shift = getShiftInterval("2026-06-10", "9am to 5pm");
+const at = (ms) => new Date(ms);
+
+describe("deriveAttendance", () => {
+  it("marks a shift without a check-in absent", () => {
+    assert.deepEqual(deriveAttendance(shift, {}), { status: "absent", lateMinutes: 0 });
+  });
+
+  it("lets a check-in within the grace period count as present", () => {
+    assert.deepEqual(deriveAttendance(shift, { checkInAt: at(shift.start + 5 * MINUTE) }), {
+      status: "present",
+      lateMinutes: 0,
+    });
+  });
+
+  it("counts every minute of a check-in past the grace period as late", () => {
+    assert.deepEqual(deriveAttendance(shift, { checkInAt: at(shift.start + 25 * MINUTE) }), {
+      status: "late",
+      lateMinutes: 25,
+    });
+  });
+
+  it("marks a check-out well before the end as leaving early", () => {
+    const record = { checkInAt: at(shift.start), checkOutAt: at(shift.end - 60 * MINUTE) };
+    assert.equal(deriveAttendance(shift, record).status, "left-early");
+    const withinGrace = { checkInAt: at(shift.start), checkOutAt: at(shift.end - 5 * MINUTE) };
+    assert.equal(deriveAttendance(shift, withinGrace).status, "present");
+  });
+
+  it("only judges the last ping once the shift is over", () => {
+    const record = { checkInAt: at(shift.start), lastSeenAt: at(shift.start + 60 * MINUTE) };
+    assert.equal(deriveAttendance(shift, record, shift.end - MINUTE).status, "present");
+    assert.equal(deriveAttendance(shift, record, shift.end).status, "left-early");
+  });
+});
+
+describe("summaries", () => {
+  it("counts statuses, late minutes and the share of shifts attended", () => {
+    const summary = summarizeAttendance([
+      { status: "present" },
+      { status: "late", lateMinutes: 20 },
+      { status: "late", lateMinutes: 15 },
+      { status: "absent" },
+    ]);
+    assert.equal(summary.total, 4);
+    assert.equal(summary.late, 2);
+    assert.equal(summary.absent, 1);
+    assert.equal(summary["left-early"], 0);
+    assert.equal(summary.lateMinutes, 35);
+    assert.equal(summary.attendanceRate, 75);
+    assert.equal(summarizeAttendance([]).attendanceRate, null);
+  });
+
+  it("spans a whole UTC month", () => {
+    const range = monthRange("2026-12");
+    assert.equal(range.$gte.toISOString(), "2026-12-01T00:00:00.000Z");
+    assert.equal(range.$lt.toISOString(), "2027-01-01T00:00:00.000Z");
+  });
+});
+
+describe("closeOutAttendance", () => {
+  function stubShifts(t, duties, records) {
+    t.mock.method(Duty, "find", async () => duties);
+    t.mock.method(Attendance, "find", async () => records);
+    return t.mock.method(Attendance, "bulkWrite", async () => ({}));
+  }
+
+  const duty = (fields) =>
+    new Duty({ badgeNumber: "K-1", name: "Kashif", policeStation: "Saddar", dutyDate: "2026-06-10", shift: "9am to 5pm", ...fields });
+  const record = (forDuty, fields) =>
+    new Attendance({ duty: forDuty._id, badgeNumber: "K-1", dutyDate: forDuty.dutyDate, status: "present", ...fields });
+
+  it("settles ended shifts in one bulkWrite", async (t) => {
+    const missed = duty();
+    const open = duty({ dutyDate: "2026-06-11" });
+    const upcoming = duty({ dutyDate: "2099-01-01" });
+    const bulkWrite = stubShifts(t, [missed, open, upcoming], [record(open, { checkInAt: at(shift.start + DAY + 30 * MINUTE) })]);
+
+    assert.equal(await closeOutAttendance({ policeStation: "Saddar" }), 2);
+
+    assert.equal(bulkWrite.mock.callCount(), 1);
+    const [writes, options] = bulkWrite.mock.calls[0].arguments;
+    assert.deepEqual(options, { ordered: false });
+
+    const [absent, settled] = writes.map((write) => write.updateOne);
+    assert.deepEqual(absent.filter, { duty: missed._id });
+    assert.equal(absent.upsert, true);
+    assert.equal(absent.update.$setOnInsert.status, "absent");
+    assert.equal(absent.update.$setOnInsert.closed, true);
+
+    assert.deepEqual(settled.update.$set, { lateMinutes: 30, closed: true, status: "late" });
+    assert.deepEqual(settled.filter.closed, { $ne: true });
+  });
+
+  it("keeps corrected statuses and skips closed records", async (t) => {
+    const corrected = duty();
+    const closed = duty({ dutyDate: "2026-06-11" });
+    const bulkWrite = stubShifts(
+      t,
+      [corrected, closed],
+      [
+        record(corrected, { corrections: [{ from: "absent", to: "present", reason: "Radio duty" }] }),
+        record(closed, { closed: true }),
+      ]
+    );
+
+    assert.equal(await closeOutAttendance({}), 1);
+    const [write] = bulkWrite.mock.calls[0].arguments[0];
+    assert.deepEqual(write.updateOne.update.$set, { lateMinutes: 0, closed: true });
+  });
+
+  it("writes nothing when no shift has ended", async (t) => {
+    const bulkWrite = stubShifts(t, [duty({ dutyDate: "2099-01-01" })], []);
+    assert.equal(await closeOutAttendance({}), 0);
+    assert.equal(bulkWrite.mock.callCount(), 0);
+  });
+});
+
+describe("POST /api/attendance/settle", () => {
+  const incharge = createAdmin({ email: "settle@example.com", role: "station-incharge", policeStation: "Saddar" });
+
+  it("settles the caller's station for the given month", async (t) => {
+    const find = t.mock.method(Duty, "find", async () => []);
+    const res = await request(app).post("/api/attendance/settle?month=2026-06").set("Authorization", bearer(incharge));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.settled, 0);
+    const filter = find.mock.calls[0].arguments[0];
+    assert.deepEqual(filter.policeStation, { $in: ["Saddar"] });
+    assert.equal(filter.dutyDate.$gte.toISOString(), "2026-06-01T00:00:00.000Z");
+  });
+
+  it("refuses another station and callers who cannot correct attendance", async () => {
+    const elsewhere = await request(app)
+      .post("/api/attendance/settle?policeStation=Clifton")
+      .set("Authorization", bearer(incharge));
+    assert.equal(elsewhere.status, 403);
+
+    const constable = await request(app).post("/api/attendance/settle").set("Authorization", bearer(createPoliceUser()));
+    assert.equal(constable.status, 403);
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+
+const { app, internals, createAdmin, createPoliceUser, bearer } = require("./helpers");
+const { AuditLog, PoliceUserLogin, diffSnapshots, buildAuditEntry, recordAudit, recordAudits } = internals;
+
+const req = { method: "PUT", originalUrl: "/api/stations/1", auth: { sub: "a1", kind: "admin", role: "super-admin", email: "root@example.com" } };
+
+describe("audit entries", () => {
+  it("lists changed fields and ignores bookkeeping fields", () => {
+    const changes = diffSnapshots(
+      { _id: "1", name: "Saddar", contact: "1", updatedAt: "x" },
+      { _id: "1", name: "Saddar", contact: "2", updatedAt: "y" }
+    );
+    assert.deepEqual(changes, [{ field: "contact", from: "1", to: "2" }]);
+  });
+
+  it("never copies password hashes", () => {
+    const entry = buildAuditEntry(req, {
+      action: "update",
+      entity: "AdminUser",
+      before: { _id: "1", password: "hash-1" },
+      after: { _id: "1", password: "hash-2" },
+    });
+    assert.equal(entry.before.password, "[hidden]");
+    assert.equal(entry.after.password, "[hidden]");
+    assert.deepEqual(entry.changes, [{ field: "password", from: "[hidden]", to: "[hidden]" }]);
+    assert.equal(entry.entityId, "1");
+    assert.equal(entry.actor.name, "root@example.com");
+  });
+
+  it("does not count a projected-away password as a change", () => {
+    assert.deepEqual(diffSnapshots({ _id: "1", password: "hash" }, { _id: "1" }), []);
+  });
+
+  it("records self-service changes under a system actor", () => {
+    const entry = buildAuditEntry({ method: "POST", originalUrl: "/api/password-reset/confirm" }, { action: "update", entity: "PoliceUserLogin", after: { _id: "2" } });
+    assert.deepEqual(entry.actor, { kind: "system", name: "self-service" });
+  });
+});
+
+describe("writing the audit trail", () => {
+  it("does not fail the request when the audit write fails", async (t) => {
+    t.mock.method(AuditLog, "create", async () => {
+      throw new Error("down");
+    });
+    t.mock.method(console, "error", () => {});
+    await recordAudit(req, { action: "create", entity: "Duty", after: { _id: "1" } });
+  });
+
+  it("writes many mutations with one insertMany", async (t) => {
+    const insertMany = t.mock.method(AuditLog, "insertMany", async (entries) => entries);
+    await recordAudits(req, [
+      { action: "create", entity: "Duty", after: { _id: "1" } },
+      { action: "create", entity: "Duty", after: { _id: "2" } },
+    ]);
+    await recordAudits(req, []);
+
+    assert.equal(insertMany.mock.callCount(), 1);
+    assert.deepEqual(insertMany.mock.calls[0].arguments[0].map((e) => e.entityId), ["1", "2"]);
+  });
+
+  it("records account status changes made through the API", async (t) => {
+    const user = createPoliceUser();
+    t.mock.method(PoliceUserLogin, "findByIdAndUpdate", async (id, { $inc, ...fields }) => new PoliceUserLogin({ ...user.toObject(), ...fields }));
+    const create = t.mock.method(AuditLog, "create", async (entry) => entry);
+
+    const res = await request(app)
+      .patch(`/api/police-users/${user._id}/status`)
+      .set("Authorization", bearer(createAdmin()))
+      .send({ status: "Disabled" });
+
+    assert.equal(res.status, 200);
+    const entry = create.mock.calls[0].arguments[0];
+    assert.equal(entry.entity, "PoliceUserLogin");
+    assert.equal(entry.entityId, user._id.toString());
+    assert.deepEqual(entry.changes.find((c) => c.field === "status"), { field: "status", from: "active", to: "Disabled" });
+  });
+});
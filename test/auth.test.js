@@ -0,0 +1,140 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const bcrypt = require("bcrypt");
+const jwt = require("jsonwebtoken");
+
+const { app, internals, createAdmin, createPoliceUser, tokensFor, bearer } = require("./helpers");
+const { AdminUser, PoliceUserLogin } = internals;
+
+describe("login", () => {
+  it("issues an access and refresh token pair to a panel admin", async (t) => {
+    const admin = createAdmin({ email: "incharge@example.com", password: await bcrypt.hash("secret1", 4) });
+    t.mock.method(AdminUser, "findOne", async ({ email }) => (email === admin.email ? admin : null));
+
+    const res = await request(app).post("/api/login").send({ email: "Incharge@example.com", password: "secret1" });
+
+    assert.equal(res.status, 200);
+    assert.equal(jwt.decode(res.body.accessToken).tokenType, "access");
+    assert.equal(jwt.decode(res.body.refreshToken).tokenType, "refresh");
+    assert.equal(jwt.decode(res.body.accessToken).sub, admin._id.toString());
+  });
+
+  it("counts a wrong password against the account", async (t) => {
+    const admin = createAdmin({ email: "typo@example.com", password: await bcrypt.hash("secret1", 4) });
+    t.mock.method(AdminUser, "findOne", async () => admin);
+
+    const res = await request(app).post("/api/login").send({ email: admin.email, password: "wrong" });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.accessToken, undefined);
+    assert.equal(admin.failedLoginAttempts, 1);
+  });
+
+  it("issues tokens to a mobile user", async (t) => {
+    const user = createPoliceUser({ batchNo: "B-200", password: await bcrypt.hash("secret1", 4) });
+    t.mock.method(PoliceUserLogin, "findOne", async () => user);
+
+    const res = await request(app).post("/moblogin").send({ batchNo: "B-200", password: "secret1" });
+
+    assert.equal(res.status, 200);
+    assert.equal(jwt.decode(res.body.accessToken).batchNo, "B-200");
+    assert.equal(res.body.user.password, undefined);
+  });
+});
+
+describe("route protection", () => {
+  it("requires a token on /api and /charts routes", async () => {
+    for (const path of ["/api/lockouts", "/api/police-users", "/charts/constablesByGender"]) {
+      const res = await request(app).get(path);
+      assert.equal(res.status, 401, path);
+      assert.equal(res.body.message, "Authentication required");
+    }
+  });
+
+  it("rejects a token signed with another secret", async () => {
+    const forged = jwt.sign({ kind: "admin", sub: createAdmin()._id.toString(), tokenVersion: 0, tokenType: "access" }, "guess");
+    const res = await request(app).get("/api/lockouts").set("Authorization", `Bearer ${forged}`);
+    assert.equal(res.status, 401);
+  });
+
+  it("tells clients when the access token has expired", async () => {
+    const admin = createAdmin();
+    const expired = jwt.sign(
+      { kind: "admin", sub: admin._id.toString(), tokenVersion: 0, tokenType: "access", exp: Math.floor(Date.now() / 1000) - 60 },
+      process.env.JWT_SECRET
+    );
+    const res = await request(app).get("/api/lockouts").set("Authorization", `Bearer ${expired}`);
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, "token_expired");
+  });
+
+  it("does not accept a refresh token as an access token", async () => {
+    const { refreshToken } = tokensFor(createAdmin());
+    const res = await request(app).get("/api/lockouts").set("Authorization", `Bearer ${refreshToken}`);
+    assert.equal(res.status, 401);
+    assert.equal(res.body.message, "Invalid token");
+  });
+
+  it("refuses roles without the route's permission", async () => {
+    const res = await request(app).get("/api/lockouts").set("Authorization", bearer(createPoliceUser()));
+    assert.equal(res.status, 403);
+  });
+});
+
+describe("refresh and revocation", () => {
+  it("exchanges a refresh token for a new pair", async () => {
+    const admin = createAdmin();
+    const res = await request(app).post("/api/auth/refresh").send({ refreshToken: tokensFor(admin).refreshToken });
+
+    assert.equal(res.status, 200);
+    assert.equal(jwt.decode(res.body.accessToken).sub, admin._id.toString());
+    assert.equal(jwt.decode(res.body.accessToken).role, "super-admin");
+  });
+
+  it("does not accept an access token as a refresh token", async () => {
+    const res = await request(app).post("/api/auth/refresh").send({ refreshToken: tokensFor(createAdmin()).accessToken });
+    assert.equal(res.status, 401);
+  });
+
+  it("revokes every token on logout", async (t) => {
+    const admin = createAdmin();
+    const tokens = tokensFor(admin);
+    t.mock.method(AdminUser, "findByIdAndUpdate", async (id, update) => {
+      admin.tokenVersion += update.$inc.tokenVersion;
+      return admin;
+    });
+
+    const logout = await request(app).post("/api/auth/logout").set("Authorization", `Bearer ${tokens.accessToken}`);
+    assert.equal(logout.status, 200);
+
+    const reuse = await request(app).post("/api/auth/logout").set("Authorization", `Bearer ${tokens.accessToken}`);
+    assert.equal(reuse.status, 401);
+    assert.equal(reuse.body.message, "Session has been revoked");
+
+    const refresh = await request(app).post("/api/auth/refresh").send({ refreshToken: tokens.refreshToken });
+    assert.equal(refresh.status, 401);
+  });
+
+  it("revokes a police user's tokens when the account is disabled", async (t) => {
+    const admin = createAdmin();
+    const user = createPoliceUser();
+    const tokens = tokensFor(user);
+    t.mock.method(PoliceUserLogin, "findByIdAndUpdate", async (id, { $inc, ...fields }) => {
+      user.set(fields);
+      if ($inc) user.tokenVersion += $inc.tokenVersion;
+      return user;
+    });
+
+    const disable = await request(app)
+      .patch(`/api/police-users/${user._id}/status`)
+      .set("Authorization", bearer(admin))
+      .send({ status: "Disabled" });
+    assert.equal(disable.status, 200);
+
+    const access = await request(app).post("/api/auth/logout").set("Authorization", `Bearer ${tokens.accessToken}`);
+    assert.equal(access.status, 401);
+    const refresh = await request(app).post("/api/auth/refresh").send({ refreshToken: tokens.refreshToken });
+    assert.equal(refresh.status, 401);
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+
+const { app, internals, createPoliceUser, bearer, dutyInProgress } = require("./helpers");
+const { Duty, CheckEvent, Attendance, findCurrentDuty, clockSkewError } = internals;
+
+const MINUTE = 60 * 1000;
+
+describe("clockSkewError", () => {
+  const now = new Date("2026-06-10T09:00:00Z");
+
+  it("accepts a device clock within two minutes of the server", () => {
+    assert.equal(clockSkewError(undefined, now), null);
+    assert.equal(clockSkewError("2026-06-10T09:01:30Z", now), null);
+  });
+
+  it("refuses a device clock further off", () => {
+    assert.match(clockSkewError("2026-06-10T08:50:00Z", now), /Device time does not match server time/);
+  });
+});
+
+describe("findCurrentDuty", () => {
+  it("finds the duty whose shift, widened by the grace period, contains the time", async (t) => {
+    const duty = new Duty({ badgeNumber: "K-1", dutyDate: "2026-06-10", shift: "9pm to 6am" });
+    t.mock.method(Duty, "find", async () => [duty]);
+
+    assert.equal((await findCurrentDuty("K-1", "2026-06-11T05:30:00Z")).duty, duty);
+    assert.equal((await findCurrentDuty("K-1", "2026-06-10T20:55:00Z")).duty, duty);
+    assert.equal(await findCurrentDuty("K-1", "2026-06-11T07:00:00Z"), null);
+  });
+});
+
+describe("check event indexes", () => {
+  it("allow one accepted check-in and one check-out per duty", () => {
+    const unique = CheckEvent.schema
+      .indexes()
+      .filter(([, options]) => options.unique)
+      .map(([fields, options]) => [options.name, fields, options.partialFilterExpression]);
+    assert.deepEqual(unique, [
+      ["one_check_in_per_duty", { duty: 1 }, { type: "check-in", withinRange: true }],
+      ["one_check_out_per_duty", { duty: 1 }, { type: "check-out" }],
+    ]);
+  });
+});
+
+describe("check-in and check-out", () => {
+  const constable = createPoliceUser({ batchNo: "K-1" });
+  const at = { currentX: 24.86, currentY: 67.01 };
+
+  function stubShift(t, duty, existing = {}) {
+    t.mock.method(Duty, "find", async () => [duty]);
+    t.mock.method(CheckEvent, "findOne", async ({ type }) => existing[type] || null);
+    t.mock.method(Attendance, "findOne", async () => null);
+    t.mock.method(Attendance.prototype, "save", async function () {
+      return this;
+    });
+    return t.mock.method(CheckEvent, "create", async (fields) => new CheckEvent(fields));
+  }
+
+  it("records minutes past the grace period as late", async (t) => {
+    stubShift(t, dutyInProgress(30 * MINUTE));
+    const res = await request(app).post("/api/checkin").set("Authorization", bearer(constable)).send({ badgeNumber: "K-1", ...at });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+    assert.ok(res.body.lateMinutes >= 30 && res.body.lateMinutes <= 31, `lateMinutes ${res.body.lateMinutes}`);
+  });
+
+  it("does not count a check-in within the grace period as late", async (t) => {
+    stubShift(t, dutyInProgress(5 * MINUTE));
+    const res = await request(app).post("/api/checkin").set("Authorization", bearer(constable)).send({ badgeNumber: "K-1", ...at });
+    assert.equal(res.body.lateMinutes, 0);
+  });
+
+  it("keeps an out-of-range attempt without marking attendance", async (t) => {
+    const create = stubShift(t, dutyInProgress(0));
+    const res = await request(app)
+      .post("/api/checkin")
+      .set("Authorization", bearer(constable))
+      .send({ badgeNumber: "K-1", currentX: 24.9, currentY: 67.1 });
+
+    assert.equal(res.body.success, false);
+    assert.equal(create.mock.calls[0].arguments[0].withinRange, false);
+    assert.equal(Attendance.findOne.mock.callCount(), 0);
+  });
+
+  it("answers 409 when a racing check-in wins the unique index", async (t) => {
+    const create = stubShift(t, dutyInProgress(0));
+    create.mock.mockImplementation(async () => {
+      throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+    });
+    const res = await request(app).post("/api/checkin").set("Authorization", bearer(constable)).send({ badgeNumber: "K-1", ...at });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.message, "Already checked in to this shift");
+  });
+
+  it("refuses a device clock that disagrees with the server", async () => {
+    const res = await request(app)
+      .post("/api/checkin")
+      .set("Authorization", bearer(constable))
+      .send({ badgeNumber: "K-1", ...at, currentTime: new Date(Date.now() - 10 * MINUTE).toISOString() });
+    assert.equal(res.status, 400);
+  });
+
+  it("requires an accepted check-in before checking out", async (t) => {
+    stubShift(t, dutyInProgress(60 * MINUTE));
+    const res = await request(app).post("/api/checkout").set("Authorization", bearer(constable)).send({ badgeNumber: "K-1", ...at });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.message, "You have not checked in to this shift");
+  });
+
+  it("records minutes before the end of the shift as early", async (t) => {
+    const duty = dutyInProgress(60 * MINUTE);
+    stubShift(t, duty, { "check-in": new CheckEvent({ duty: duty._id, type: "check-in", withinRange: true }) });
+    const res = await request(app).post("/api/checkout").set("Authorization", bearer(constable)).send({ badgeNumber: "K-1", ...at });
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.earlyMinutes >= 419 && res.body.earlyMinutes <= 420, `earlyMinutes ${res.body.earlyMinutes}`);
+  });
+});
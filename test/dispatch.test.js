@@ -0,0 +1,135 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+
+const { app, internals, createAdmin, bearer, dutyInProgress } = require("./helpers");
+const { Duty, Constable, LocationPing, Dispatch, WeaponIssue, rankLevel, findDispatchCandidates, vonage } = internals;
+
+const incident = { xCoord: 24.86, yCoord: 67.01 };
+
+describe("rankLevel", () => {
+  it("orders ranks from constable up", () => {
+    assert.equal(rankLevel("constable"), 0);
+    assert.ok(rankLevel("Inspector") > rankLevel("sub-inspector"));
+    assert.equal(rankLevel("superintendent"), 6);
+  });
+
+  it("reads abbreviations and loose spacing", () => {
+    assert.equal(rankLevel("ASI"), rankLevel("assistant sub-inspector"));
+    assert.equal(rankLevel(" head   Constable "), 1);
+    assert.equal(rankLevel("DSP"), rankLevel("deputy superintendent"));
+  });
+
+  it("reports unknown ranks as -1", () => {
+    assert.equal(rankLevel("general"), -1);
+    assert.equal(rankLevel(undefined), -1);
+  });
+});
+
+// On-duty constables, each last seen `meters` north of the incident; one
+// without `meters` has no fresh ping
+function stubOnDuty(t, roster, { busy = [], issues = [] } = {}) {
+  const duties = roster.map(({ badgeNumber, duty }) => duty || dutyInProgress(0, { badgeNumber }));
+  t.mock.method(Duty, "find", async () => duties);
+  t.mock.method(LocationPing, "aggregate", async () =>
+    roster
+      .map(({ meters }, i) => ({ _id: duties[i]._id, meters }))
+      .filter(({ meters }) => meters !== undefined)
+      .map(({ _id, meters }) => ({ _id, xCoord: incident.xCoord + meters / 111195, yCoord: incident.yCoord, at: new Date() }))
+  );
+  t.mock.method(Constable, "find", async () =>
+    roster.map(({ badgeNumber, rank = "constable", weapons = [] }) =>
+      new Constable({ badgeNumber, fullName: `Officer ${badgeNumber}`, rank, weapons, contactNumber: "03001234567" })
+    )
+  );
+  t.mock.method(Dispatch, "find", () => ({ distinct: async () => busy }));
+  t.mock.method(WeaponIssue, "find", async () => issues.map((issue) => new WeaponIssue(issue)));
+}
+
+describe("findDispatchCandidates", () => {
+  const admin = { role: "super-admin" };
+
+  it("ranks available constables nearest first", async (t) => {
+    stubOnDuty(t, [{ badgeNumber: "K-1", meters: 900 }, { badgeNumber: "K-2", meters: 300 }, { badgeNumber: "K-3" }]);
+    const candidates = await findDispatchCandidates(admin, incident);
+    assert.deepEqual(candidates.map((c) => [c.badgeNumber, c.distance]), [["K-2", 300], ["K-1", 900]]);
+  });
+
+  it("leaves out constables already dispatched or too far", async (t) => {
+    stubOnDuty(t, [{ badgeNumber: "K-1", meters: 100 }, { badgeNumber: "K-2", meters: 300 }, { badgeNumber: "K-3", meters: 2000 }], {
+      busy: ["K-1"],
+    });
+    const candidates = await findDispatchCandidates(admin, { ...incident, maxDistance: 1000 });
+    assert.deepEqual(candidates.map((c) => c.badgeNumber), ["K-2"]);
+  });
+
+  it("requires the minimum rank and every weapon, counting armory issues", async (t) => {
+    stubOnDuty(
+      t,
+      [
+        { badgeNumber: "K-1", meters: 100, rank: "constable", weapons: ["SMG"] },
+        { badgeNumber: "K-2", meters: 200, rank: "ASI", weapons: ["Pistol"] },
+        { badgeNumber: "K-3", meters: 300, rank: "Inspector" },
+      ],
+      { issues: [{ badgeNumber: "K-3", weaponType: "smg" }] }
+    );
+    const candidates = await findDispatchCandidates(admin, { ...incident, minRank: "head constable", weapons: ["smg"] });
+    assert.deepEqual(candidates.map((c) => c.badgeNumber), ["K-3"]);
+  });
+
+  it("lists a constable on two overlapping duties once, at the nearer", async (t) => {
+    const far = dutyInProgress(0, { badgeNumber: "K-1", location: "Far" });
+    const near = dutyInProgress(0, { badgeNumber: "K-1", location: "Near" });
+    stubOnDuty(t, [{ badgeNumber: "K-1", meters: 800, duty: far }, { badgeNumber: "K-1", meters: 150, duty: near }]);
+
+    const candidates = await findDispatchCandidates(admin, incident);
+    assert.equal(candidates.length, 1);
+    assert.equal(candidates[0].location, "Near");
+  });
+});
+
+describe("POST /api/dispatches", () => {
+  const admin = createAdmin({ email: "control@example.com" });
+
+  it("dispatches an available constable and sends the SMS", async (t) => {
+    stubOnDuty(t, [{ badgeNumber: "K-1", meters: 400 }]);
+    const sms = t.mock.method(vonage.sms, "send", async () => ({}));
+    t.mock.method(Dispatch, "create", async (fields) => new Dispatch(fields));
+    t.mock.method(Dispatch.prototype, "save", async function () {
+      return this;
+    });
+
+    const res = await request(app)
+      .post("/api/dispatches")
+      .set("Authorization", bearer(admin))
+      .send({ ...incident, badgeNumber: "K-1", description: "Snatching" });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.distance, 400);
+    assert.equal(res.body.notified, true);
+    assert.equal(sms.mock.calls[0].arguments[0].to, "923001234567");
+  });
+
+  it("refuses a constable who is not a candidate", async (t) => {
+    stubOnDuty(t, [{ badgeNumber: "K-1", meters: 400 }], { busy: ["K-1"] });
+    const res = await request(app).post("/api/dispatches").set("Authorization", bearer(admin)).send({ ...incident, badgeNumber: "K-1" });
+    assert.equal(res.status, 409);
+  });
+
+  it("answers 409 when a simultaneous dispatch wins the unique index", async (t) => {
+    stubOnDuty(t, [{ badgeNumber: "K-1", meters: 400 }]);
+    t.mock.method(Dispatch, "create", async () => {
+      throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+    });
+
+    const res = await request(app).post("/api/dispatches").set("Authorization", bearer(admin)).send({ ...incident, badgeNumber: "K-1" });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.message, "Constable is already dispatched to another incident");
+  });
+
+  it("allows one open dispatch per constable at the database", () => {
+    const [, options] = Dispatch.schema.indexes().find(([, options]) => options.name === "one_open_dispatch_per_constable");
+    assert.equal(options.unique, true);
+    assert.deepEqual(options.partialFilterExpression, { status: { $in: ["dispatched", "arrived"] } });
+  });
+});
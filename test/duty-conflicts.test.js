@@ -0,0 +1,79 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { internals } = require("./helpers");
+const { Duty, getShiftInterval, findDutyConflicts } = internals;
+
+const iso = (ms) => new Date(ms).toISOString();
+
+describe("getShiftInterval", () => {
+  it("places a day shift on its duty date", () => {
+    const { start, end } = getShiftInterval("2026-06-10", "9am to 5pm");
+    assert.equal(iso(start), "2026-06-10T09:00:00.000Z");
+    assert.equal(iso(end), "2026-06-10T17:00:00.000Z");
+  });
+
+  it("ends an overnight shift on the next day", () => {
+    const { start, end } = getShiftInterval("2026-06-10", "9:30 pm to 6 am");
+    assert.equal(iso(start), "2026-06-10T21:30:00.000Z");
+    assert.equal(iso(end), "2026-06-11T06:00:00.000Z");
+  });
+
+  it("gives up on shifts it cannot read", () => {
+    assert.equal(getShiftInterval("2026-06-10", "morning"), null);
+    assert.equal(getShiftInterval(null, "9am to 5pm"), null);
+  });
+});
+
+describe("findDutyConflicts", () => {
+  function stubBooked(t, booked) {
+    return t.mock.method(Duty, "find", async () => booked.map((fields) => new Duty({ badgeNumber: "K-1", ...fields })));
+  }
+
+  it("finds overlapping shifts at any station", async (t) => {
+    stubBooked(t, [{ dutyDate: "2026-06-10", shift: "1pm to 9pm", policeStation: "Clifton" }]);
+    const conflicts = await findDutyConflicts([{ badgeNumber: "K-1", dutyDate: "2026-06-10", shift: "9am to 5pm" }]);
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].reason, "overlap");
+    assert.equal(conflicts[0].requestedShift, "9am to 5pm");
+  });
+
+  it("flags too little rest between shifts", async (t) => {
+    // Overnight shift ends 06:00, the next starts 10:00: four hours off
+    stubBooked(t, [{ dutyDate: "2026-06-09", shift: "10pm to 6am" }]);
+    const conflicts = await findDutyConflicts([{ badgeNumber: "K-1", dutyDate: "2026-06-10", shift: "10am to 6pm" }]);
+    assert.deepEqual(conflicts.map((c) => c.reason), ["rest-gap"]);
+  });
+
+  it("allows shifts with enough rest between them", async (t) => {
+    stubBooked(t, [{ dutyDate: "2026-06-09", shift: "9am to 5pm" }]);
+    assert.deepEqual(await findDutyConflicts([{ badgeNumber: "K-1", dutyDate: "2026-06-10", shift: "9am to 5pm" }]), []);
+  });
+
+  it("ignores other constables' duties", async (t) => {
+    stubBooked(t, [{ badgeNumber: "K-2", dutyDate: "2026-06-10", shift: "9am to 5pm" }]);
+    assert.deepEqual(await findDutyConflicts([{ badgeNumber: "K-1", dutyDate: "2026-06-10", shift: "9am to 5pm" }]), []);
+  });
+
+  it("falls back to same day and shift text for unreadable shifts", async (t) => {
+    stubBooked(t, [{ dutyDate: "2026-06-10", shift: "Morning" }]);
+    const conflicts = await findDutyConflicts([{ badgeNumber: "K-1", dutyDate: "2026-06-10", shift: "Morning" }]);
+    assert.deepEqual(conflicts.map((c) => c.reason), ["overlap"]);
+  });
+
+  it("leaves out the duties being edited and cancelled duties", async (t) => {
+    const find = stubBooked(t, []);
+    const editing = "0123456789abcdef01234567";
+    await findDutyConflicts([{ badgeNumber: "K-1", dutyDate: "2026-06-10", shift: "9am to 5pm" }], [editing]);
+
+    const filter = find.mock.calls[0].arguments[0];
+    assert.deepEqual(filter._id, { $nin: [editing] });
+    assert.equal(filter.cancelledAt, null);
+  });
+
+  it("skips the lookup when there is nothing to check", async (t) => {
+    const find = stubBooked(t, []);
+    assert.deepEqual(await findDutyConflicts([]), []);
+    assert.equal(find.mock.callCount(), 0);
+  });
+});
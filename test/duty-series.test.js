@@ -0,0 +1,92 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+
+const { app, internals, createAdmin, bearer } = require("./helpers");
+const { Duty, DutySeries, expandRecurrence, MAX_SERIES_OCCURRENCES } = internals;
+
+const days = (dates) => dates.map((date) => date.toISOString().slice(0, 10));
+
+describe("expandRecurrence", () => {
+  it("lists every day of a daily schedule, inclusive, at UTC midnight", () => {
+    const dates = expandRecurrence("2026-03-30T15:00:00Z", "2026-04-02T01:00:00Z");
+    assert.deepEqual(days(dates), ["2026-03-30", "2026-03-31", "2026-04-01", "2026-04-02"]);
+    assert.ok(dates.every((date) => date.getUTCHours() === 0));
+  });
+
+  it("keeps only the chosen weekdays", () => {
+    const dates = expandRecurrence("2026-03-02", "2026-03-15", { type: "weekdays", weekdays: ["Mon", "Fri"] });
+    assert.deepEqual(days(dates), ["2026-03-02", "2026-03-06", "2026-03-09", "2026-03-13"]);
+  });
+
+  it("cycles on and off days for a rotation", () => {
+    const dates = expandRecurrence("2026-03-01", "2026-03-08", { type: "rotation", onDays: 2, offDays: 1 });
+    assert.deepEqual(days(dates), ["2026-03-01", "2026-03-02", "2026-03-04", "2026-03-05", "2026-03-07", "2026-03-08"]);
+  });
+
+  it("is empty when the range is reversed", () => {
+    assert.deepEqual(expandRecurrence("2026-03-02", "2026-03-01"), []);
+  });
+});
+
+describe("POST /api/duty-series/expand-legacy", () => {
+  const superAdmin = createAdmin();
+
+  function legacyDuty(fields) {
+    return new Duty({ badgeNumber: "E-1", shift: "9am to 5pm", dutyType: "multiple", ...fields });
+  }
+
+  // Legacy duties for the migration query, booked duties for conflict checks
+  function stubDuties(t, legacy, booked = []) {
+    t.mock.method(Duty, "find", async (filter) => (filter.dutyType === "multiple" ? legacy : booked));
+    t.mock.method(Duty.prototype, "save", async function () {
+      return this;
+    });
+    const insertMany = t.mock.method(Duty, "insertMany", async (docs) => docs.map((doc) => new Duty(doc)));
+    t.mock.method(DutySeries, "create", async (fields) => new DutySeries(fields));
+    return insertMany;
+  }
+
+  it("turns a legacy range into one duty per day", async (t) => {
+    const legacy = legacyDuty({ fromDate: "2026-05-01", toDate: "2026-05-03" });
+    const insertMany = stubDuties(t, [legacy]);
+
+    const res = await request(app).post("/api/duty-series/expand-legacy").set("Authorization", bearer(superAdmin));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.expanded, 1);
+    assert.deepEqual(res.body.skipped, []);
+    assert.equal(legacy.dutyDate.toISOString().slice(0, 10), "2026-05-01");
+    assert.deepEqual(days(insertMany.mock.calls[0].arguments[0].map((d) => d.dutyDate)), ["2026-05-02", "2026-05-03"]);
+  });
+
+  it("reports ranges longer than a series may be instead of truncating them", async (t) => {
+    const legacy = legacyDuty({ fromDate: "2025-01-01", toDate: "2026-12-31" });
+    const insertMany = stubDuties(t, [legacy]);
+
+    const res = await request(app).post("/api/duty-series/expand-legacy").set("Authorization", bearer(superAdmin));
+
+    assert.equal(res.body.expanded, 0);
+    assert.equal(res.body.skipped[0].id, legacy._id.toString());
+    assert.match(res.body.skipped[0].reason, new RegExp(`at most ${MAX_SERIES_OCCURRENCES}`));
+    assert.equal(insertMany.mock.callCount(), 0);
+  });
+
+  it("reports duties whose days clash with other duties of the constable", async (t) => {
+    const legacy = legacyDuty({ fromDate: "2026-05-01", toDate: "2026-05-03" });
+    const booked = new Duty({ badgeNumber: "E-1", shift: "1pm to 9pm", dutyDate: "2026-05-02" });
+    const insertMany = stubDuties(t, [legacy], [booked]);
+
+    const res = await request(app).post("/api/duty-series/expand-legacy").set("Authorization", bearer(superAdmin));
+
+    assert.equal(res.body.expanded, 0);
+    assert.equal(res.body.skipped[0].conflicts[0].reason, "overlap");
+    assert.equal(insertMany.mock.callCount(), 0);
+  });
+
+  it("reports duties without dates", async (t) => {
+    stubDuties(t, [legacyDuty({})]);
+    const res = await request(app).post("/api/duty-series/expand-legacy").set("Authorization", bearer(superAdmin));
+    assert.equal(res.body.skipped[0].reason, "fromDate or toDate is missing");
+  });
+});
@@ -0,0 +1,146 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+
+const { app, internals, createAdmin, createPoliceUser, bearer } = require("./helpers");
+const { Duty, Fir, PoliceStation, Constable, nextFirNumber, serializeFir } = internals;
+
+const complainant = { name: "Ali Raza", fatherName: "Raza Khan", cnic: "42101-1234567-1", contact: "03001234567", address: "Garden East" };
+
+const saddar = new PoliceStation({ name: "Saddar" });
+
+function newFir(fields = {}) {
+  return new Fir({
+    firNumber: "FIR-2026-0007",
+    station: saddar._id,
+    policeStation: "Saddar",
+    complainant,
+    offenceSections: ["PPC 379"],
+    ioBadgeNumber: "K-1",
+    ...fields,
+  });
+}
+
+function stubFir(t, fir) {
+  t.mock.method(Fir, "findById", async () => fir);
+  t.mock.method(Duty, "find", () => ({ sort: async () => [] }));
+  return t.mock.method(Fir.prototype, "save", async function () {
+    return this;
+  });
+}
+
+describe("serializeFir", () => {
+  const fir = newFir({
+    history: [{ action: "updated", from: { complainant: { ...complainant, contact: "0300" } }, to: { complainant, description: "Phone" } }],
+  });
+
+  it("shows staff the complainant in full", () => {
+    const out = serializeFir({ role: "station-incharge" }, fir);
+    assert.equal(out.complainant.cnic, complainant.cnic);
+    assert.deepEqual(out.history[0].to.complainant, complainant);
+  });
+
+  it("shows a constable the complainant's name only, in history too", () => {
+    const out = serializeFir({ role: "constable", batchNo: "K-1" }, fir);
+    assert.deepEqual(out.complainant, { name: "Ali Raza" });
+    assert.deepEqual(out.history[0].from, {});
+    assert.deepEqual(out.history[0].to, { description: "Phone" });
+    assert.doesNotMatch(JSON.stringify(out), /42101|03001234567|Garden East|Raza Khan/);
+  });
+});
+
+describe("nextFirNumber", () => {
+  function stubLast(t, firNumber) {
+    return t.mock.method(Fir, "findOne", () => ({ sort: () => ({ select: async () => firNumber && { firNumber } }) }));
+  }
+
+  it("starts each station's year at 0001", async (t) => {
+    stubLast(t, null);
+    assert.equal(await nextFirNumber(saddar._id, 2026), "FIR-2026-0001");
+  });
+
+  it("follows the station's last number for the year", async (t) => {
+    const findOne = stubLast(t, "FIR-2026-0041");
+    assert.equal(await nextFirNumber(saddar._id, 2026), "FIR-2026-0042");
+    assert.deepEqual(findOne.mock.calls[0].arguments[0].firNumber, { $regex: "^FIR-2026-" });
+  });
+});
+
+describe("FIR routes", () => {
+  const incharge = createAdmin({ email: "firs@example.com", role: "station-incharge", policeStation: "Saddar" });
+  const investigator = createPoliceUser({ batchNo: "K-1" });
+
+  it("shows the investigating officer the case without complainant details", async (t) => {
+    stubFir(t, newFir());
+    const res = await request(app).get(`/api/firs/${newFir()._id}`).set("Authorization", bearer(investigator));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.complainant, { name: "Ali Raza" });
+    assert.deepEqual(res.body.duties, []);
+  });
+
+  it("refuses constables other than the investigating officer", async (t) => {
+    stubFir(t, newFir());
+    const res = await request(app).get(`/api/firs/${newFir()._id}`).set("Authorization", bearer(createPoliceUser({ batchNo: "K-9" })));
+    assert.equal(res.status, 403);
+  });
+
+  it("refuses staff outside the case's station", async (t) => {
+    stubFir(t, newFir({ policeStation: "Clifton" }));
+    const res = await request(app).get(`/api/firs/${newFir()._id}`).set("Authorization", bearer(incharge));
+    assert.equal(res.status, 403);
+  });
+
+  it("only allows moves along the case lifecycle", async (t) => {
+    const fir = newFir({ status: "registered" });
+    stubFir(t, fir);
+
+    const skip = await request(app).patch(`/api/firs/${fir._id}/status`).set("Authorization", bearer(incharge)).send({ status: "challan" });
+    assert.equal(skip.status, 409);
+    assert.deepEqual(skip.body.allowed, ["under-investigation", "closed"]);
+
+    const close = await request(app).patch(`/api/firs/${fir._id}/status`).set("Authorization", bearer(incharge)).send({ status: "closed", note: "Compromise" });
+    assert.equal(close.status, 200);
+    assert.equal(fir.history.at(-1).from, "registered");
+    assert.equal(fir.history.at(-1).note, "Compromise");
+  });
+
+  it("requires an investigating officer before investigation starts", async (t) => {
+    const fir = newFir();
+    stubFir(t, fir);
+    const res = await request(app)
+      .patch(`/api/firs/${fir._id}/status`)
+      .set("Authorization", bearer(incharge))
+      .send({ status: "under-investigation" });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.message, "Assign an investigating officer first");
+  });
+
+  it("keeps closed cases from being edited", async (t) => {
+    const fir = newFir({ status: "closed" });
+    stubFir(t, fir);
+    const res = await request(app).patch(`/api/firs/${fir._id}`).set("Authorization", bearer(incharge)).send({ description: "Late edit" });
+    assert.equal(res.status, 409);
+  });
+
+  it("numbers a new FIR and retries once when the number is taken", async (t) => {
+    t.mock.method(PoliceStation, "findById", async () => saddar);
+    t.mock.method(Constable, "findOne", async () => new Constable({ badgeNumber: "K-1", policeStation: "Saddar" }));
+    const numbers = ["FIR-2026-0041", "FIR-2026-0042"];
+    t.mock.method(Fir, "findOne", () => ({ sort: () => ({ select: async () => ({ firNumber: numbers.shift() }) }) }));
+    const save = t.mock.method(Fir.prototype, "save", async function () {
+      if (save.mock.callCount() === 0) throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+      return this;
+    });
+
+    const res = await request(app)
+      .post("/api/firs")
+      .set("Authorization", bearer(incharge))
+      .send({ station: saddar._id.toString(), complainant: { name: "Ali Raza" }, investigatingOfficer: "K-1" });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.firNumber, "FIR-2026-0043");
+    assert.equal(res.body.ioBadgeNumber, "K-1");
+    assert.equal(save.mock.callCount(), 2);
+  });
+});
@@ -0,0 +1,190 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+
+const { app, internals, createAdmin, createPoliceUser, bearer } = require("./helpers");
+const { Duty, Constable, PoliceStation, Vehicle, VehicleAssignment, Trip, MaintenanceLog, findVehicleConflicts } = internals;
+
+const saddar = new PoliceStation({ name: "Saddar" });
+const transport = createAdmin({ email: "fleet@example.com", role: "station-incharge", policeStation: "Saddar" });
+
+const newVehicle = (fields = {}) =>
+  new Vehicle({ registrationNumber: "GS-1234", type: "Car", station: saddar._id, policeStation: "Saddar", odometer: 5000, ...fields });
+
+function stubSave(t, Model) {
+  return t.mock.method(Model.prototype, "save", async function () {
+    return this;
+  });
+}
+
+describe("findVehicleConflicts", () => {
+  const vehicle = newVehicle();
+
+  function stubBookings(t, duties, assignments) {
+    t.mock.method(Duty, "find", async () => duties.map((fields) => new Duty({ vehicle: vehicle._id, badgeNumber: "K-2", ...fields })));
+    t.mock.method(VehicleAssignment, "find", async () =>
+      assignments.map(([start, end]) => new VehicleAssignment({ vehicle: vehicle._id, badgeNumber: "K-3", start, end }))
+    );
+  }
+
+  it("finds duties and assignments holding the vehicle during the shift", async (t) => {
+    stubBookings(t, [{ dutyDate: "2026-06-09", shift: "10pm to 10am" }], [["2026-06-10T16:00:00Z", "2026-06-10T18:00:00Z"]]);
+    const conflicts = await findVehicleConflicts(vehicle._id, [{ dutyDate: "2026-06-10", shift: "9am to 5pm" }]);
+
+    assert.equal(conflicts.length, 2);
+    assert.equal(conflicts[0].requestedDate, "2026-06-10T00:00:00.000Z");
+    assert.equal(conflicts[0].duty.shift, "10pm to 10am");
+    assert.equal(conflicts[1].assignment.badgeNumber, "K-3");
+  });
+
+  it("lets bookings that only touch the shift pass", async (t) => {
+    stubBookings(t, [{ dutyDate: "2026-06-10", shift: "5pm to 11pm" }], [["2026-06-10T06:00:00Z", "2026-06-10T09:00:00Z"]]);
+    assert.deepEqual(await findVehicleConflicts(vehicle._id, [{ dutyDate: "2026-06-10", shift: "9am to 5pm" }]), []);
+  });
+});
+
+describe("vehicle assignments", () => {
+  function stubAssign(t, vehicle, { duties = [], assignments = [] } = {}) {
+    t.mock.method(Vehicle, "findById", async () => vehicle);
+    t.mock.method(Constable, "findOne", async () => new Constable({ badgeNumber: "K-1", policeStation: "Saddar" }));
+    t.mock.method(Duty, "find", async () => duties);
+    t.mock.method(VehicleAssignment, "find", async () => assignments);
+    return t.mock.method(VehicleAssignment, "create", async (fields) => new VehicleAssignment(fields));
+  }
+
+  const assign = (vehicle, body) =>
+    request(app).post(`/api/fleet/vehicles/${vehicle._id}/assignments`).set("Authorization", bearer(transport)).send(body);
+
+  it("refuses a window overlapping a duty booking", async (t) => {
+    const vehicle = newVehicle();
+    const create = stubAssign(t, vehicle, { duties: [new Duty({ badgeNumber: "K-2", dutyDate: "2026-06-10", shift: "9am to 5pm" })] });
+    const res = await assign(vehicle, { badgeNumber: "K-1", start: "2026-06-10T16:00:00Z", end: "2026-06-10T20:00:00Z" });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.duties.length, 1);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("assigns a free, active vehicle", async (t) => {
+    const vehicle = newVehicle();
+    stubAssign(t, vehicle, { duties: [new Duty({ badgeNumber: "K-2", dutyDate: "2026-06-10", shift: "9am to 5pm" })] });
+    const res = await assign(vehicle, { badgeNumber: "K-1", start: "2026-06-10T17:00:00Z", end: "2026-06-10T20:00:00Z" });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.policeStation, "Saddar");
+  });
+
+  it("refuses a vehicle that is off the road", async (t) => {
+    const vehicle = newVehicle({ status: "maintenance" });
+    stubAssign(t, vehicle);
+    const res = await assign(vehicle, { badgeNumber: "K-1", start: "2026-06-10T17:00:00Z", end: "2026-06-10T20:00:00Z" });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.message, "Vehicle is maintenance");
+  });
+});
+
+describe("trips", () => {
+  const driver = createPoliceUser({ batchNo: "K-1" });
+
+  function stubTrip(t, vehicle, { assigned = false, onTrip = false } = {}) {
+    t.mock.method(Vehicle, "findById", async () => vehicle);
+    t.mock.method(VehicleAssignment, "exists", async () => (assigned ? { _id: "assignment" } : null));
+    t.mock.method(Duty, "find", async () => []);
+    t.mock.method(Trip, "exists", async () => (onTrip ? { _id: "trip" } : null));
+    return t.mock.method(Trip, "create", async (fields) => new Trip(fields));
+  }
+
+  const start = (body) => request(app).post("/api/fleet/trips").set("Authorization", bearer(driver)).send(body);
+
+  it("lets a constable drive a vehicle assigned to them now", async (t) => {
+    const vehicle = newVehicle();
+    stubTrip(t, vehicle, { assigned: true });
+    const res = await start({ vehicle: vehicle._id.toString(), odometerStart: 5010 });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.badgeNumber, "K-1");
+  });
+
+  it("refuses a constable a vehicle not booked to them", async (t) => {
+    const vehicle = newVehicle();
+    stubTrip(t, vehicle);
+    const res = await start({ vehicle: vehicle._id.toString(), odometerStart: 5010 });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.message, "Vehicle is not booked to you right now");
+  });
+
+  it("refuses an odometer reading below the vehicle's and a second open trip", async (t) => {
+    const vehicle = newVehicle();
+    stubTrip(t, vehicle, { assigned: true });
+    assert.equal((await start({ vehicle: vehicle._id.toString(), odometerStart: 4990 })).status, 400);
+
+    Trip.exists.mock.mockImplementation(async () => ({ _id: "trip" }));
+    const busy = await start({ vehicle: vehicle._id.toString(), odometerStart: 5010 });
+    assert.equal(busy.status, 409);
+    assert.equal(busy.body.message, "Vehicle is already on a trip");
+  });
+
+  it("records the distance and moves the odometer forward only", async (t) => {
+    const trip = new Trip({ vehicle: newVehicle()._id, badgeNumber: "K-1", odometerStart: 5010 });
+    t.mock.method(Trip, "findById", async () => trip);
+    stubSave(t, Trip);
+    const odometer = t.mock.method(Vehicle, "updateOne", async () => ({ modifiedCount: 1 }));
+
+    const res = await request(app).patch(`/api/fleet/trips/${trip._id}/end`).set("Authorization", bearer(driver)).send({ odometerEnd: 5052 });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.distanceKm, 42);
+    assert.deepEqual(odometer.mock.calls[0].arguments[1], { $max: { odometer: 5052 } });
+
+    const again = await request(app).patch(`/api/fleet/trips/${trip._id}/end`).set("Authorization", bearer(driver)).send({ odometerEnd: 5060 });
+    assert.equal(again.status, 409);
+  });
+});
+
+describe("maintenance", () => {
+  it("takes a vehicle off the road until open work is completed", async (t) => {
+    const vehicle = newVehicle();
+    t.mock.method(Vehicle, "findById", async () => vehicle);
+    stubSave(t, Vehicle);
+    stubSave(t, MaintenanceLog);
+    let log;
+    t.mock.method(MaintenanceLog, "create", async (fields) => (log = new MaintenanceLog(fields)));
+
+    const open = await request(app)
+      .post(`/api/fleet/vehicles/${vehicle._id}/maintenance`)
+      .set("Authorization", bearer(transport))
+      .send({ type: "repair", description: "Clutch plate" });
+    assert.equal(open.status, 201);
+    assert.equal(vehicle.status, "maintenance");
+
+    t.mock.method(MaintenanceLog, "findById", async () => log);
+    t.mock.method(MaintenanceLog, "exists", async () => null);
+    const done = await request(app).patch(`/api/fleet/maintenance/${log._id}/complete`).set("Authorization", bearer(transport)).send({ cost: 18000 });
+
+    assert.equal(done.status, 200);
+    assert.equal(done.body.cost, 18000);
+    assert.equal(vehicle.status, "active");
+  });
+});
+
+describe("utilization report", () => {
+  it("counts trip time inside the window only", async (t) => {
+    const vehicle = newVehicle();
+    t.mock.method(Vehicle, "find", async () => [vehicle]);
+    t.mock.method(Trip, "find", async () => [
+      new Trip({ vehicle: vehicle._id, badgeNumber: "K-1", odometerStart: 0, startedAt: "2026-06-09T22:00:00Z", endedAt: "2026-06-10T02:00:00Z", distanceKm: 40 }),
+      new Trip({ vehicle: vehicle._id, badgeNumber: "K-1", odometerStart: 0, startedAt: "2026-06-10T10:00:00Z", endedAt: "2026-06-10T14:00:00Z", distanceKm: 60 }),
+    ]);
+    t.mock.method(Duty, "aggregate", async () => [{ _id: vehicle._id, count: 3 }]);
+
+    const res = await request(app)
+      .get("/api/fleet/reports/utilization?from=2026-06-10T00:00:00Z&to=2026-06-11T00:00:00Z")
+      .set("Authorization", bearer(transport));
+
+    assert.equal(res.status, 200);
+    const [row] = res.body.stations[0].vehicles;
+    assert.equal(row.tripHours, 6);
+    assert.equal(row.distanceKm, 100);
+    assert.equal(row.dutiesBooked, 3);
+    assert.equal(row.utilization, 25);
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { internals } = require("./helpers");
+const {
+  Duty,
+  Alert,
+  GeofenceEvent,
+  getDistanceFromLatLonInMeters,
+  pointInPolygon,
+  checkGeofence,
+  evaluateGeofence,
+  timeOutsideMs,
+} = internals;
+
+const near = (actual, expected, tolerance) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+describe("geofence math", () => {
+  it("measures great-circle distance in meters", () => {
+    assert.equal(getDistanceFromLatLonInMeters(24.86, 67.01, 24.86, 67.01), 0);
+    near(getDistanceFromLatLonInMeters(0, 0, 1, 0), 111195, 1); // one degree of latitude
+    near(getDistanceFromLatLonInMeters(24.8607, 67.0011, 31.5204, 74.3587), 1031000, 2000); // Karachi to Lahore
+  });
+
+  it("tells points inside a polygon from those outside", () => {
+    const square = [[0, 0], [0, 10], [10, 10], [10, 0]];
+    assert.equal(pointInPolygon([5, 5], square), true);
+    assert.equal(pointInPolygon([15, 5], square), false);
+
+    const ell = [[0, 0], [0, 10], [4, 10], [4, 4], [10, 4], [10, 0]];
+    assert.equal(pointInPolygon([2, 8], ell), true);
+    assert.equal(pointInPolygon([8, 8], ell), false);
+  });
+
+  it("fences a duty by the default radius, its own radius or its polygon", () => {
+    const point = { xCoord: 24.86, yCoord: 67.01 };
+    const offset = 0.004; // roughly 445 m north
+
+    assert.equal(checkGeofence(point, 24.86 + offset, 67.01).inside, true);
+    assert.equal(checkGeofence({ ...point, geofence: { type: "radius", radius: 200 } }, 24.86 + offset, 67.01).inside, false);
+
+    const polygon = { ...point, geofence: { type: "polygon", polygon: [[24.85, 67], [24.85, 67.02], [24.87, 67.02], [24.87, 67]] } };
+    assert.equal(checkGeofence(polygon, 24.865, 67.015).inside, true);
+    assert.equal(checkGeofence(polygon, 24.875, 67.015).inside, false);
+    near(checkGeofence(polygon, 24.875, 67.01).distance, 1668, 5);
+  });
+
+  it("adds up time outside, counting an open exit until the given time", () => {
+    const event = (type, minute) => ({ type, at: new Date(Date.UTC(2026, 5, 10, 9, minute)) });
+    const events = [event("exit", 0), event("enter", 10), event("exit", 30), event("exit", 35), event("enter", 40)];
+    assert.equal(timeOutsideMs(events, Date.UTC(2026, 5, 10, 17)), 20 * 60 * 1000);
+
+    const open = [...events, event("exit", 50)];
+    assert.equal(timeOutsideMs(open, Date.UTC(2026, 5, 10, 10)), 30 * 60 * 1000);
+  });
+});
+
+describe("evaluateGeofence", () => {
+  const duty = new Duty({ badgeNumber: "K-1", name: "Kashif", policeStation: "Saddar", location: "Empress Market", xCoord: 24.86, yCoord: 67.01 });
+
+  function stubEvents(t, last) {
+    t.mock.method(GeofenceEvent, "findOne", () => ({ sort: async () => last }));
+    const create = t.mock.method(GeofenceEvent, "create", async (fields) => new GeofenceEvent(fields));
+    const alert = t.mock.method(Alert, "create", async (fields) => new Alert(fields));
+    return { create, alert };
+  }
+
+  it("records an exit and raises a warning when the constable leaves", async (t) => {
+    const { create, alert } = stubEvents(t, null);
+    const result = await evaluateGeofence(duty, 24.87, 67.01, new Date());
+
+    assert.equal(result.inside, false);
+    assert.equal(create.mock.calls[0].arguments[0].type, "exit");
+    const raised = alert.mock.calls[0].arguments[0];
+    assert.equal(raised.type, "geofence-exit");
+    assert.equal(raised.severity, "warning");
+    assert.match(raised.message, /Kashif left duty location Empress Market \(1112 m away\)/);
+  });
+
+  it("records the return once the constable is back inside", async (t) => {
+    const { create, alert } = stubEvents(t, new GeofenceEvent({ type: "exit" }));
+    await evaluateGeofence(duty, 24.86, 67.01, new Date());
+
+    assert.equal(create.mock.calls[0].arguments[0].type, "enter");
+    assert.equal(alert.mock.calls[0].arguments[0].severity, "info");
+  });
+
+  it("records nothing while the constable stays on the same side", async (t) => {
+    const { create, alert } = stubEvents(t, new GeofenceEvent({ type: "exit" }));
+    await evaluateGeofence(duty, 24.87, 67.01, new Date());
+
+    assert.equal(create.mock.callCount(), 0);
+    assert.equal(alert.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,107 @@
+// Shared setup for the route tests. The app is loaded without a database:
+// the model calls a test relies on are stubbed with node:test mocks, and any
+// query left unstubbed fails at once instead of waiting for a connection.
+process.env.MongoURL = "";
+process.env.JWT_SECRET = "test-secret";
+
+const { mock } = require("node:test");
+const mongoose = require("mongoose");
+
+mongoose.set("bufferCommands", false);
+
+const app = require("../index");
+const { internals } = app;
+const { AdminUser, PoliceUserLogin, AuditLog, RateLimitBucket } = internals;
+
+// Accounts the stubbed lookups resolve, keyed by id
+const accounts = new Map();
+
+for (const Account of [AdminUser, PoliceUserLogin]) {
+  mock.method(Account, "findById", async (id) => accounts.get(String(id)) || null);
+  mock.method(Account.prototype, "save", async function () {
+    return this;
+  });
+}
+mock.method(AuditLog, "create", async (entry) => entry);
+mock.method(AuditLog, "insertMany", async (entries) => entries);
+mock.method(RateLimitBucket, "findOneAndUpdate", async () => ({
+  count: 1,
+  resetAt: new Date(Date.now() + 60 * 1000),
+}));
+
+function createAdmin(fields = {}) {
+  const admin = new AdminUser({ email: "admin@example.com", password: "unused", role: "super-admin", ...fields });
+  accounts.set(admin._id.toString(), admin);
+  return admin;
+}
+
+function createPoliceUser(fields = {}) {
+  const user = new PoliceUserLogin({ batchNo: "B-100", password: "unused", ...fields });
+  accounts.set(user._id.toString(), user);
+  return user;
+}
+
+// Token pair for an account, as its login route would issue it
+function tokensFor(account) {
+  return internals.issueTokens(
+    account instanceof AdminUser
+      ? { kind: "admin", sub: account._id.toString(), tokenVersion: account.tokenVersion || 0 }
+      : { kind: "mobile", sub: account._id.toString(), batchNo: account.batchNo, tokenVersion: account.tokenVersion || 0 }
+  );
+}
+
+const bearer = (account) => `Bearer ${tokensFor(account).accessToken}`;
+
+// Stand in for mongoose.startSession: runs the transaction body once and
+// records whether it committed or was aborted
+function stubSession(t) {
+  const session = {
+    committed: false,
+    aborted: false,
+    async withTransaction(fn) {
+      await fn(session);
+      if (!session.aborted) session.committed = true;
+    },
+    async abortTransaction() {
+      session.aborted = true;
+    },
+    async endSession() {},
+  };
+  t.mock.method(mongoose, "startSession", async () => session);
+  return session;
+}
+
+// "h:mm am" in UTC, the way shifts are written
+function clockTime(ms) {
+  const date = new Date(ms);
+  const hours = date.getUTCHours();
+  const minutes = String(date.getUTCMinutes()).padStart(2, "0");
+  return `${hours % 12 || 12}:${minutes} ${hours < 12 ? "am" : "pm"}`;
+}
+
+// A duty whose shift started `startedAgo` ms before now and runs for 8 hours
+function dutyInProgress(startedAgo, fields = {}) {
+  const start = Math.floor((Date.now() - startedAgo) / 60000) * 60000;
+  return new internals.Duty({
+    badgeNumber: "K-1",
+    name: "Kashif",
+    policeStation: "Saddar",
+    dutyDate: new Date(start).toISOString().slice(0, 10),
+    shift: `${clockTime(start)} to ${clockTime(start + 8 * 60 * 60000)}`,
+    xCoord: 24.86,
+    yCoord: 67.01,
+    ...fields,
+  });
+}
+
+module.exports = {
+  app,
+  internals,
+  accounts,
+  createAdmin,
+  createPoliceUser,
+  tokensFor,
+  bearer,
+  stubSession,
+  dutyInProgress,
+};
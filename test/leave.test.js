@@ -0,0 +1,151 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+
+const { app, internals, createAdmin, bearer, stubSession } = require("./helpers");
+const { Constable, Duty, LeaveRequest, LeaveBalance, leaveDaysByYear, findLeaveConflicts } = internals;
+
+const utc = (day) => new Date(`${day}T00:00:00Z`);
+
+describe("leaveDaysByYear", () => {
+  it("keeps leave inside one year whole", () => {
+    assert.deepEqual(leaveDaysByYear(utc("2026-03-01"), utc("2026-03-05")), [{ year: 2026, days: 5 }]);
+  });
+
+  it("splits leave crossing a year end", () => {
+    assert.deepEqual(leaveDaysByYear(utc("2025-12-29"), utc("2026-01-03")), [
+      { year: 2025, days: 3 },
+      { year: 2026, days: 3 },
+    ]);
+  });
+});
+
+describe("findLeaveConflicts", () => {
+  it("returns the requested days that fall on approved leave", async (t) => {
+    t.mock.method(LeaveRequest, "find", async () => [
+      new LeaveRequest({ badgeNumber: "V-1", fromDate: utc("2026-03-02"), toDate: utc("2026-03-04"), status: "approved", type: "annual" }),
+    ]);
+    const conflicts = await findLeaveConflicts([
+      { badgeNumber: "V-1", dutyDate: "2026-03-01T09:00:00Z" },
+      { badgeNumber: "V-1", dutyDate: "2026-03-04T09:00:00Z" },
+      { badgeNumber: "V-2", dutyDate: "2026-03-03T09:00:00Z" },
+    ]);
+    assert.deepEqual(conflicts.map((c) => c.requestedDate), ["2026-03-04T00:00:00.000Z"]);
+  });
+});
+
+describe("leave requests", () => {
+  const admin = createAdmin();
+  const constable = new Constable({ fullName: "Ali", badgeNumber: "V-1", policeStation: "Saddar" });
+
+  // Balance rows per year, as getLeaveBalance would upsert them
+  function stubBalances(t, byYear) {
+    const rows = new Map(
+      Object.entries(byYear).map(([year, fields]) => [
+        Number(year),
+        new LeaveBalance({ constable: constable._id, badgeNumber: "V-1", year: Number(year), type: "annual", entitled: 20, used: 0, ...fields }),
+      ])
+    );
+    t.mock.method(LeaveBalance, "findOneAndUpdate", async ({ year }) => rows.get(year));
+    return rows;
+  }
+
+  it("checks each year's balance for leave crossing a year end", async (t) => {
+    t.mock.method(Constable, "findOne", async () => constable);
+    t.mock.method(LeaveRequest, "findOne", async () => null);
+    stubBalances(t, { 2025: { used: 19 }, 2026: {} });
+    const create = t.mock.method(LeaveRequest, "create", async (fields) => new LeaveRequest(fields));
+
+    const refused = await request(app)
+      .post("/api/leaves")
+      .set("Authorization", bearer(admin))
+      .send({ badgeNumber: "V-1", type: "annual", fromDate: "2025-12-30", toDate: "2026-01-02" });
+    assert.equal(refused.status, 400);
+    assert.match(refused.body.message, /for 2025: 1 day/);
+
+    const accepted = await request(app)
+      .post("/api/leaves")
+      .set("Authorization", bearer(admin))
+      .send({ badgeNumber: "V-1", type: "annual", fromDate: "2025-12-31", toDate: "2026-01-02" });
+    assert.equal(accepted.status, 201);
+    assert.equal(create.mock.calls[0].arguments[0].days, 3);
+  });
+
+  describe("review", () => {
+    const pending = () =>
+      new LeaveRequest({
+        constable: constable._id,
+        badgeNumber: "V-1",
+        policeStation: "Saddar",
+        type: "annual",
+        fromDate: utc("2025-12-30"),
+        toDate: utc("2026-01-02"),
+        days: 4,
+      });
+
+    function stubReview(t, leave, { claimed = true, drawable = () => true } = {}) {
+      t.mock.method(LeaveRequest, "findById", async () => leave);
+      t.mock.method(LeaveRequest, "findOneAndUpdate", async (filter, update) =>
+        claimed ? new LeaveRequest({ ...leave.toObject(), ...update }) : null
+      );
+      const updateOne = t.mock.method(LeaveBalance, "updateOne", async (filter, update) => ({
+        modifiedCount: drawable(filter, update) ? 1 : 0,
+      }));
+      t.mock.method(Duty, "find", async () => []);
+      return updateOne;
+    }
+
+    it("draws each year's days with a guarded increment in one transaction", async (t) => {
+      const session = stubSession(t);
+      const leave = pending();
+      stubBalances(t, { 2025: {}, 2026: {} });
+      const updateOne = stubReview(t, leave);
+
+      const res = await request(app)
+        .patch(`/api/leaves/${leave._id}/review`)
+        .set("Authorization", bearer(admin))
+        .send({ decision: "approved" });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.leave.status, "approved");
+      assert.equal(session.committed, true);
+      assert.deepEqual(updateOne.mock.calls.map((call) => call.arguments[1]), [{ $inc: { used: 2 } }, { $inc: { used: 2 } }]);
+      assert.ok(updateOne.mock.calls.every((call) => call.arguments[0].$expr && call.arguments[2].session === session));
+    });
+
+    it("rolls back when a year's balance would be overdrawn", async (t) => {
+      const session = stubSession(t);
+      const leave = pending();
+      const rows = stubBalances(t, { 2025: {}, 2026: { used: 19 } });
+      stubReview(t, leave, {
+        drawable: (filter, update) => {
+          const row = [...rows.values()].find((balance) => balance._id.equals(filter._id));
+          return row.used + update.$inc.used <= row.entitled;
+        },
+      });
+
+      const res = await request(app)
+        .patch(`/api/leaves/${leave._id}/review`)
+        .set("Authorization", bearer(admin))
+        .send({ decision: "approved" });
+
+      assert.equal(res.status, 409);
+      assert.match(res.body.message, /Insufficient annual leave balance for 2026: 1 day/);
+      assert.equal(session.aborted, true);
+    });
+
+    it("answers 409 when another reviewer got there first", async (t) => {
+      stubSession(t);
+      const leave = pending();
+      const updateOne = stubReview(t, leave, { claimed: false });
+
+      const res = await request(app)
+        .patch(`/api/leaves/${leave._id}/review`)
+        .set("Authorization", bearer(admin))
+        .send({ decision: "approved" });
+
+      assert.equal(res.status, 409);
+      assert.equal(updateOne.mock.callCount(), 0);
+    });
+  });
+});
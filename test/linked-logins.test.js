@@ -0,0 +1,78 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcrypt");
+
+const { internals, createPoliceUser } = require("./helpers");
+const { PoliceUserLogin, Constable, transporter, provisionConstableLogin, syncLinkedLogin } = internals;
+
+const req = { method: "POST", originalUrl: "/api/addconstable", auth: { sub: "a1", kind: "admin", role: "super-admin" } };
+
+function newConstable(fields = {}) {
+  return new Constable({ fullName: "Ali", badgeNumber: "L-1", email: "ali@example.com", status: "Active", ...fields });
+}
+
+describe("provisioning a constable's login", () => {
+  it("creates a login with a temporary password the constable must change", async (t) => {
+    const constable = newConstable();
+    t.mock.method(PoliceUserLogin, "findOne", async () => null);
+    const create = t.mock.method(PoliceUserLogin, "create", async (fields) => new PoliceUserLogin(fields));
+    const send = t.mock.method(transporter, "sendMail", async () => ({}));
+
+    const result = await provisionConstableLogin(req, constable, "email");
+
+    assert.deepEqual(result, { batchNo: "L-1", provisioned: true, delivered: true, deliverVia: "email" });
+    const login = create.mock.calls[0].arguments[0];
+    assert.equal(login.mustChangePassword, true);
+    assert.ok(login.constable.equals(constable._id));
+    const temporary = send.mock.calls[0].arguments[0].text.match(/temporary password: (\S+)\./)[1];
+    assert.equal(await bcrypt.compare(temporary, login.password), true);
+  });
+
+  it("links an existing login instead of creating another", async (t) => {
+    const constable = newConstable({ badgeNumber: "L-2" });
+    const existing = createPoliceUser({ batchNo: "L-2" });
+    t.mock.method(PoliceUserLogin, "findOne", async () => existing);
+    const create = t.mock.method(PoliceUserLogin, "create", async () => assert.fail("must not create"));
+
+    const result = await provisionConstableLogin(req, constable, "email");
+
+    assert.equal(result.linked, true);
+    assert.equal(create.mock.callCount(), 0);
+    assert.ok(existing.constable.equals(constable._id));
+  });
+
+  it("keeps the login and says so when the password cannot be delivered", async (t) => {
+    const constable = newConstable({ badgeNumber: "L-3", contactNumber: undefined });
+    t.mock.method(PoliceUserLogin, "findOne", async () => null);
+    t.mock.method(PoliceUserLogin, "create", async (fields) => new PoliceUserLogin(fields));
+    t.mock.method(console, "error", () => {});
+
+    const result = await provisionConstableLogin(req, constable, "sms");
+
+    assert.equal(result.provisioned, true);
+    assert.equal(result.delivered, false);
+  });
+});
+
+describe("keeping the login in step", () => {
+  it("disables and revokes the login of a constable who leaves service", async (t) => {
+    const constable = newConstable({ badgeNumber: "L-4" });
+    const login = createPoliceUser({ batchNo: "L-4", constable: constable._id, tokenVersion: 1 });
+    t.mock.method(PoliceUserLogin, "findOne", async () => login);
+
+    await syncLinkedLogin(req, constable, newConstable({ _id: constable._id, badgeNumber: "L-4", status: "Retired" }));
+
+    assert.equal(login.status, "Disabled");
+    assert.equal(login.tokenVersion, 2);
+  });
+
+  it("follows a badge number change", async (t) => {
+    const constable = newConstable({ badgeNumber: "L-5" });
+    const login = createPoliceUser({ batchNo: "L-5", constable: constable._id });
+    t.mock.method(PoliceUserLogin, "findOne", async () => login);
+
+    await syncLinkedLogin(req, constable, newConstable({ _id: constable._id, badgeNumber: "L-6" }));
+
+    assert.equal(login.batchNo, "L-6");
+  });
+});
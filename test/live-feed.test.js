@@ -0,0 +1,87 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const request = require("supertest");
+
+const { app, internals, createAdmin, createPoliceUser, tokensFor, bearer } = require("./helpers");
+const { PoliceStation, publishLiveEvent } = internals;
+
+// Open the event stream on a throwaway server; the stream stays open until
+// the test ends
+function openFeed(t, path) {
+  const server = app.listen(0);
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("listening", () => {
+      const req = http.get({ port: server.address().port, path }, (res) => {
+        let body = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => (body += chunk));
+        resolve({ status: res.statusCode, headers: res.headers, body: () => body });
+      });
+      req.on("error", reject);
+    });
+  });
+}
+
+// Wait until the stream has delivered `text`
+async function received(feed, text) {
+  for (let waited = 0; waited < 2000 && !feed.body().includes(text); waited += 10) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  return feed.body();
+}
+
+describe("live feed", () => {
+  const incharge = createAdmin({ email: "live@example.com", role: "station-incharge", policeStation: "Saddar" });
+
+  it("takes the access token from the query and streams the caller's stations only", async (t) => {
+    const feed = await openFeed(t, `/api/live-feed?access_token=${tokensFor(incharge).accessToken}`);
+    assert.equal(feed.status, 200);
+    assert.match(feed.headers["content-type"], /^text\/event-stream/);
+
+    publishLiveEvent("alert", "Clifton", { message: "elsewhere" });
+    publishLiveEvent("alert", "Saddar", { message: "here" });
+    const body = await received(feed, "here");
+
+    assert.match(body, /^retry: 5000\n\n/);
+    assert.match(body, /event: alert\ndata: \{"type":"alert","policeStation":"Saddar"/);
+    assert.doesNotMatch(body, /elsewhere/);
+  });
+
+  it("streams only the requested event types", async (t) => {
+    const feed = await openFeed(t, `/api/live-feed?types=dispatch&access_token=${tokensFor(createAdmin()).accessToken}`);
+
+    publishLiveEvent("location", "Saddar", { badgeNumber: "K-1" });
+    publishLiveEvent("dispatch", "Saddar", { badgeNumber: "K-2" });
+    const body = await received(feed, "K-2");
+
+    assert.doesNotMatch(body, /K-1/);
+  });
+
+  it("narrows a district subscription to the stations in scope", async (t) => {
+    t.mock.method(PoliceStation, "find", () => ({ distinct: async () => ["Saddar", "Clifton"] }));
+    const feed = await openFeed(t, `/api/live-feed?district=South&access_token=${tokensFor(incharge).accessToken}`);
+
+    publishLiveEvent("duty", "Clifton", { badgeNumber: "K-3" });
+    publishLiveEvent("duty", "Saddar", { badgeNumber: "K-4" });
+    assert.doesNotMatch(await received(feed, "K-4"), /K-3/);
+  });
+
+  it("refuses a station outside the caller's jurisdiction and constables", async () => {
+    const elsewhere = await request(app).get("/api/live-feed?policeStation=Clifton").set("Authorization", bearer(incharge));
+    assert.equal(elsewhere.status, 403);
+
+    const constable = await request(app).get("/api/live-feed").set("Authorization", bearer(createPoliceUser()));
+    assert.equal(constable.status, 403);
+  });
+
+  it("accepts a query token on no other route", async () => {
+    const res = await request(app).get(`/api/lockouts?access_token=${tokensFor(createAdmin()).accessToken}`);
+    assert.equal(res.status, 401);
+  });
+});
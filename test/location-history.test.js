@@ -0,0 +1,96 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const mongoose = require("mongoose");
+
+const { app, internals, createPoliceUser, bearer } = require("./helpers");
+const { LocationPing, syncLocationRetention, downsample } = internals;
+
+const THIRTY_DAYS = 30 * 24 * 60 * 60;
+
+describe("downsample", () => {
+  const points = Array.from({ length: 11 }, (_, i) => i);
+
+  it("keeps short trails whole", () => {
+    assert.equal(downsample(points, 20), points);
+    assert.equal(downsample(points), points);
+  });
+
+  it("spaces kept points evenly and keeps both ends", () => {
+    assert.deepEqual(downsample(points, 3), [0, 5, 10]);
+    assert.deepEqual(downsample(points, 6), [0, 2, 4, 6, 8, 10]);
+  });
+
+  it("keeps the latest point when only one is wanted", () => {
+    assert.deepEqual(downsample(points, 1), [10]);
+  });
+});
+
+describe("syncLocationRetention", () => {
+  // Stands in for the connected database with a location collection created
+  // with the given expiry
+  function stubDb(t, expireAfterSeconds) {
+    const commands = [];
+    t.mock.method(LocationPing, "init", async () => {});
+    mongoose.connection.db = {
+      listCollections: () => ({
+        toArray: async () => [{ name: LocationPing.collection.collectionName, options: { expireAfterSeconds } }],
+      }),
+      command: async (command) => commands.push(command),
+    };
+    t.after(() => delete mongoose.connection.db);
+    return commands;
+  }
+
+  it("applies a changed retention with collMod", async (t) => {
+    const commands = stubDb(t, 7 * 24 * 60 * 60);
+    t.mock.method(console, "log", () => {});
+    await syncLocationRetention();
+    assert.deepEqual(commands, [{ collMod: LocationPing.collection.collectionName, expireAfterSeconds: THIRTY_DAYS }]);
+  });
+
+  it("leaves a collection that already matches alone", async (t) => {
+    const commands = stubDb(t, THIRTY_DAYS);
+    await syncLocationRetention();
+    assert.deepEqual(commands, []);
+  });
+});
+
+describe("GET /api/location-trail", () => {
+  const constable = createPoliceUser({ batchNo: "K-1" });
+  const window = "from=2026-06-10T09:00:00Z&to=2026-06-10T17:00:00Z";
+
+  function stubPings(t, count) {
+    const pings = Array.from(
+      { length: count },
+      (_, i) => new LocationPing({ badgeNumber: "K-1", at: new Date(Date.UTC(2026, 5, 10, 9, i)), xCoord: 24.8 + i / 100, yCoord: 67 })
+    );
+    return t.mock.method(LocationPing, "find", () => ({ sort: () => ({ limit: async () => pings }) }));
+  }
+
+  it("returns the trail as a GeoJSON line of [longitude, latitude]", async (t) => {
+    const find = stubPings(t, 5);
+    const res = await request(app).get(`/api/location-trail?badgeNumber=K-1&${window}&maxPoints=3`).set("Authorization", bearer(constable));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.geometry.type, "LineString");
+    assert.deepEqual(res.body.geometry.coordinates, [[67, 24.8], [67, 24.82], [67, 24.84]]);
+    assert.equal(res.body.properties.totalPoints, 5);
+    assert.equal(res.body.properties.pointCount, 3);
+    assert.equal(res.body.properties.timestamps[2], "2026-06-10T09:04:00.000Z");
+    assert.deepEqual(find.mock.calls[0].arguments[0].at, {
+      $gte: new Date("2026-06-10T09:00:00Z"),
+      $lte: new Date("2026-06-10T17:00:00Z"),
+    });
+  });
+
+  it("requires a time window for a badge trail", async () => {
+    const res = await request(app).get("/api/location-trail?badgeNumber=K-1").set("Authorization", bearer(constable));
+    assert.equal(res.status, 400);
+  });
+
+  it("refuses a constable someone else's trail", async () => {
+    const res = await request(app).get(`/api/location-trail?badgeNumber=K-2&${window}`).set("Authorization", bearer(constable));
+    assert.equal(res.status, 403);
+  });
+});
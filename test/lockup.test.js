@@ -0,0 +1,166 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+
+const { app, internals, createAdmin, bearer } = require("./helpers");
+const { Alert, Fir, PoliceStation, Detainee, checkLockupCapacity, checkCustodyDeadlines } = internals;
+
+const HOUR = 60 * 60 * 1000;
+const saddar = new PoliceStation({ name: "Saddar", jailCapacity: 2 });
+const clifton = new PoliceStation({ name: "Clifton", jailCapacity: 10 });
+const duty = createAdmin({ email: "lockup@example.com", role: "station-incharge", policeStation: "Saddar" });
+
+const newDetainee = (fields = {}) =>
+  new Detainee({
+    name: "Bilal",
+    station: saddar._id,
+    policeStation: "Saddar",
+    arrestedAt: new Date(Date.now() - 2 * HOUR),
+    custodyDeadline: new Date(Date.now() + 22 * HOUR),
+    ...fields,
+  });
+
+function stubAlerts(t, { unacknowledged = false } = {}) {
+  t.mock.method(Alert, "exists", async () => (unacknowledged ? { _id: "alert" } : null));
+  return t.mock.method(Alert, "create", async (fields) => new Alert(fields));
+}
+
+function stubDetainees(t, { held = 0, due = [] } = {}) {
+  t.mock.method(Detainee, "aggregate", async () => (held ? [{ _id: "Saddar", count: held }] : []));
+  t.mock.method(Detainee, "find", async () => due);
+  return t.mock.method(Detainee.prototype, "save", async function () {
+    return this;
+  });
+}
+
+describe("checkLockupCapacity", () => {
+  it("raises a critical alert once a station holds more than its capacity", async (t) => {
+    const alerts = stubAlerts(t);
+    stubDetainees(t, { held: 3 });
+
+    assert.equal(await checkLockupCapacity(saddar), 3);
+    const alert = alerts.mock.calls[0].arguments[0];
+    assert.equal(alert.type, "lockup-over-capacity");
+    assert.equal(alert.message, "Saddar lock-up holds 3 detainees against a capacity of 2");
+  });
+
+  it("stays quiet at capacity, without one, or while an earlier alert is open", async (t) => {
+    const alerts = stubAlerts(t, { unacknowledged: true });
+    stubDetainees(t, { held: 3 });
+    await checkLockupCapacity(saddar);
+    await checkLockupCapacity(new PoliceStation({ name: "Saddar" }));
+
+    Alert.exists.mock.mockImplementation(async () => null);
+    Detainee.aggregate.mock.mockImplementation(async () => [{ _id: "Saddar", count: 2 }]);
+    await checkLockupCapacity(saddar);
+
+    assert.equal(alerts.mock.callCount(), 0);
+  });
+});
+
+describe("checkCustodyDeadlines", () => {
+  it("warns once as the deadline nears and alerts once it has passed", async (t) => {
+    const near = newDetainee({ custodyDeadline: new Date(Date.now() + HOUR) });
+    const breached = newDetainee({ name: "Sajid", custodyDeadline: new Date(Date.now() - HOUR), deadlineWarnedAt: new Date() });
+    const alerts = stubAlerts(t);
+    const save = stubDetainees(t, { due: [near, breached] });
+
+    await checkCustodyDeadlines({ policeStation: "Saddar" });
+
+    assert.deepEqual(alerts.mock.calls.map((call) => call.arguments[0].type), ["custody-deadline-near", "custody-deadline-breached"]);
+    assert.ok(near.deadlineWarnedAt && !near.deadlineBreachedAt);
+    assert.ok(breached.deadlineBreachedAt);
+    assert.equal(save.mock.callCount(), 2);
+
+    Detainee.find.mock.mockImplementation(async () => [near, breached]);
+    await checkCustodyDeadlines({ policeStation: "Saddar" });
+    assert.equal(alerts.mock.callCount(), 2);
+  });
+});
+
+describe("lock-up routes", () => {
+  it("admits a detainee with the default custody deadline", async (t) => {
+    t.mock.method(PoliceStation, "findById", async () => saddar);
+    stubAlerts(t);
+    stubDetainees(t, { held: 1 });
+    t.mock.method(Detainee, "create", async (fields) => new Detainee(fields));
+    const arrestedAt = "2026-06-10T09:00:00.000Z";
+
+    const res = await request(app)
+      .post("/api/lockup/detainees")
+      .set("Authorization", bearer(duty))
+      .send({ name: "Bilal", station: saddar._id.toString(), arrestedAt });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.custodyDeadline, "2026-06-11T09:00:00.000Z");
+    assert.equal(res.body.occupancy, 1);
+    assert.equal(res.body.capacity, 2);
+  });
+
+  it("refuses a case registered at another station", async (t) => {
+    t.mock.method(PoliceStation, "findById", async () => saddar);
+    const fir = new Fir({ firNumber: "FIR-2026-0003", station: clifton._id, policeStation: "Clifton" });
+    t.mock.method(Fir, "findById", async () => fir);
+    const create = t.mock.method(Detainee, "create", async (fields) => new Detainee(fields));
+
+    const res = await request(app)
+      .post("/api/lockup/detainees")
+      .set("Authorization", bearer(duty))
+      .send({ name: "Bilal", station: saddar._id.toString(), fir: fir._id.toString(), arrestedAt: "2026-06-10T09:00:00Z" });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.message, "Case FIR-2026-0003 is registered at Clifton, not Saddar");
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("lists detainees without writing alerts", async (t) => {
+    const alerts = stubAlerts(t);
+    t.mock.method(Detainee, "find", () => ({ sort: () => ({ limit: async () => [newDetainee({ custodyDeadline: new Date(Date.now() - HOUR) })] }) }));
+
+    const res = await request(app).get("/api/lockup/detainees").set("Authorization", bearer(duty));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 1);
+    assert.equal(alerts.mock.callCount(), 0);
+  });
+
+  it("clears the alert flags when custody is extended", async (t) => {
+    const detainee = newDetainee({ deadlineWarnedAt: new Date(), deadlineBreachedAt: new Date() });
+    t.mock.method(Detainee, "findById", async () => detainee);
+    const find = t.mock.method(Detainee, "find", async () => []);
+    t.mock.method(Detainee.prototype, "save", async function () {
+      return this;
+    });
+    const custodyDeadline = new Date(Date.now() + 72 * HOUR).toISOString();
+
+    const res = await request(app)
+      .patch(`/api/lockup/detainees/${detainee._id}/custody-deadline`)
+      .set("Authorization", bearer(duty))
+      .send({ custodyDeadline, note: "Physical remand for 3 days" });
+
+    assert.equal(res.status, 200);
+    assert.equal(detainee.deadlineBreachedAt, undefined);
+    assert.equal(detainee.events.at(-1).type, "custody-extended");
+    assert.deepEqual(find.mock.calls[0].arguments[0]._id, detainee._id);
+  });
+
+  it("opens a record at the receiving station on transfer", async (t) => {
+    const detainee = newDetainee({ cell: "B" });
+    t.mock.method(Detainee, "findById", async () => detainee);
+    t.mock.method(PoliceStation, "findById", async () => clifton);
+    stubAlerts(t);
+    stubDetainees(t);
+    const create = t.mock.method(Detainee, "create", async (fields) => new Detainee(fields));
+
+    const res = await request(app)
+      .post(`/api/lockup/detainees/${detainee._id}/transfer`)
+      .set("Authorization", bearer(duty))
+      .send({ toStation: clifton._id.toString() });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, "transferred");
+    assert.equal(res.body.receivedAs.policeStation, "Clifton");
+    const received = create.mock.calls[0].arguments[0];
+    assert.equal(received.cell, undefined);
+    assert.equal(received.custodyDeadline.getTime(), detainee.custodyDeadline.getTime());
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const bcrypt = require("bcrypt");
+
+const { app, internals, createAdmin } = require("./helpers");
+const { AdminUser, LoginLockout, RateLimitBucket, registerFailedLogin } = internals;
+
+describe("per-IP rate limit", () => {
+  it("answers 429 with Retry-After once the window's budget is spent", async (t) => {
+    const hit = t.mock.method(RateLimitBucket, "findOneAndUpdate", async () => ({
+      count: 21,
+      resetAt: new Date(Date.now() + 90 * 1000),
+    }));
+    const findOne = t.mock.method(AdminUser, "findOne", async () => null);
+
+    const res = await request(app).post("/api/login").send({ email: "a@example.com", password: "x" });
+
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.get("Retry-After")) > 0);
+    assert.equal(findOne.mock.callCount(), 0);
+    assert.match(hit.mock.calls[0].arguments[0].key, /^login:/);
+  });
+
+  it("keeps separate budgets per limiter", async (t) => {
+    const hit = t.mock.method(RateLimitBucket, "findOneAndUpdate", async () => ({ count: 1, resetAt: new Date() }));
+    await request(app).post("/api/password-reset/confirm").send({});
+    assert.match(hit.mock.calls[0].arguments[0].key, /^password-reset:/);
+  });
+
+  it("lets requests through when the counters cannot be reached", async (t) => {
+    t.mock.method(RateLimitBucket, "findOneAndUpdate", async () => {
+      throw new Error("connection lost");
+    });
+    t.mock.method(console, "error", () => {});
+    t.mock.method(AdminUser, "findOne", async () => null);
+
+    const res = await request(app).post("/api/login").send({ email: "a@example.com", password: "x" });
+    assert.equal(res.status, 401);
+  });
+});
+
+describe("account lockout", () => {
+  it("locks after repeated failures, doubling the lockout each time", async (t) => {
+    const create = t.mock.method(LoginLockout, "create", async (fields) => fields);
+    t.mock.method(console, "warn", () => {});
+    const admin = createAdmin();
+
+    for (let i = 0; i < 5; i++) await registerFailedLogin(admin, "admin", admin.email, "10.0.0.1");
+    const firstLock = admin.lockedUntil.getTime() - Date.now();
+    assert.equal(create.mock.callCount(), 1);
+    assert.equal(admin.failedLoginAttempts, 0);
+    assert.ok(firstLock > 4 * 60 * 1000 && firstLock <= 5 * 60 * 1000);
+
+    for (let i = 0; i < 5; i++) await registerFailedLogin(admin, "admin", admin.email, "10.0.0.1");
+    const secondLock = admin.lockedUntil.getTime() - Date.now();
+    assert.equal(admin.lockoutCount, 2);
+    assert.ok(secondLock > 9 * 60 * 1000 && secondLock <= 10 * 60 * 1000);
+    assert.equal(create.mock.calls[1].arguments[0].ip, "10.0.0.1");
+  });
+
+  it("refuses a locked account even with the right password", async (t) => {
+    const admin = createAdmin({
+      email: "locked@example.com",
+      password: await bcrypt.hash("secret1", 4),
+      lockedUntil: new Date(Date.now() + 60 * 1000),
+    });
+    t.mock.method(AdminUser, "findOne", async () => admin);
+
+    const res = await request(app).post("/api/login").send({ email: admin.email, password: "secret1" });
+
+    assert.equal(res.status, 423);
+    assert.equal(res.body.status, "locked");
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const bcrypt = require("bcrypt");
+
+const { app, internals, createPoliceUser } = require("./helpers");
+const { PoliceUserLogin, Constable, PasswordReset, transporter } = internals;
+
+// Reset rows as the stubbed PasswordReset model stores them
+function stubResets(t, { recentRequests = 0 } = {}) {
+  const resets = [];
+  t.mock.method(PasswordReset, "countDocuments", async () => recentRequests);
+  t.mock.method(PasswordReset, "updateMany", async () => ({ modifiedCount: 0 }));
+  t.mock.method(PasswordReset, "create", async (fields) => {
+    const reset = { attempts: 0, ...fields, save: async () => reset };
+    resets.push(reset);
+    return reset;
+  });
+  t.mock.method(PasswordReset, "findOne", () => ({ sort: async () => resets[resets.length - 1] || null }));
+  return resets;
+}
+
+describe("password reset", () => {
+  const user = createPoliceUser({ batchNo: "R-1", status: "active", tokenVersion: 2 });
+
+  function stubAccount(t) {
+    t.mock.method(PoliceUserLogin, "findOne", async ({ batchNo }) => (batchNo === user.batchNo ? user : null));
+    t.mock.method(Constable, "findOne", async () => ({ fullName: "Ali", email: "ali@example.com" }));
+  }
+
+  it("answers the same way for an unknown batch number", async (t) => {
+    stubAccount(t);
+    const send = t.mock.method(transporter, "sendMail", async () => ({}));
+
+    const res = await request(app).post("/api/password-reset/request").send({ batchNo: "NOPE" });
+
+    assert.equal(res.status, 200);
+    assert.match(res.body.message, /If this batch number is registered/);
+    assert.equal(send.mock.callCount(), 0);
+  });
+
+  it("throttles repeated requests for one account", async (t) => {
+    stubAccount(t);
+    stubResets(t, { recentRequests: 3 });
+
+    const res = await request(app).post("/api/password-reset/request").send({ batchNo: "R-1" });
+    assert.equal(res.status, 429);
+  });
+
+  it("mails a code that resets the password and signs the user out", async (t) => {
+    stubAccount(t);
+    const resets = stubResets(t);
+    const send = t.mock.method(transporter, "sendMail", async () => ({}));
+
+    const requested = await request(app).post("/api/password-reset/request").send({ batchNo: "R-1" });
+    assert.equal(requested.status, 200);
+    assert.equal(send.mock.callCount(), 1);
+    const code = send.mock.calls[0].arguments[0].html.match(/>\s*(\d{6})\s*</)[1];
+
+    const wrong = await request(app)
+      .post("/api/password-reset/confirm")
+      .send({ batchNo: "R-1", code: code === "111111" ? "222222" : "111111", newPassword: "newpass1" });
+    assert.equal(wrong.status, 400);
+    assert.equal(resets[0].attempts, 1);
+
+    const confirmed = await request(app)
+      .post("/api/password-reset/confirm")
+      .send({ batchNo: "R-1", code, newPassword: "newpass1" });
+    assert.equal(confirmed.status, 200);
+    assert.ok(resets[0].usedAt);
+    assert.equal(await bcrypt.compare("newpass1", user.password), true);
+    assert.equal(user.tokenVersion, 3);
+  });
+
+  it("refuses a code after too many wrong attempts", async (t) => {
+    stubAccount(t);
+    const resets = stubResets(t);
+    await PasswordReset.create({ user: user._id, codeHash: await bcrypt.hash("123456", 4), attempts: 5 });
+
+    const res = await request(app)
+      .post("/api/password-reset/confirm")
+      .send({ batchNo: "R-1", code: "123456", newPassword: "newpass1" });
+    assert.equal(res.status, 429);
+    assert.equal(resets[0].usedAt, undefined);
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+
+const { app, internals, createAdmin, createPoliceUser, bearer } = require("./helpers");
+const { PoliceStation, Constable, hasPermission, getScopedStations, isInScope, scopeFilter } = internals;
+
+describe("permissions", () => {
+  it("grants super admins everything and constables no staff permission", () => {
+    assert.equal(hasPermission("super-admin", "stations:manage"), true);
+    assert.equal(hasPermission("station-incharge", "duties:write"), true);
+    assert.equal(hasPermission("station-incharge", "stations:manage"), false);
+    assert.equal(hasPermission("constable", "duties:read"), false);
+    assert.equal(hasPermission("unknown-role", "duties:read"), false);
+  });
+});
+
+describe("station scope", () => {
+  it("leaves super admins unrestricted", async () => {
+    const scope = await getScopedStations({ role: "super-admin" });
+    assert.equal(scope, null);
+    assert.equal(isInScope(scope, "Saddar"), true);
+    assert.deepEqual(scopeFilter(scope), {});
+  });
+
+  it("limits a station incharge to their station", async () => {
+    const scope = await getScopedStations({ role: "station-incharge", policeStation: "Saddar" });
+    assert.deepEqual(scope, ["Saddar"]);
+    assert.equal(isInScope(scope, "Clifton"), false);
+    assert.deepEqual(scopeFilter(scope, "name"), { name: { $in: ["Saddar"] } });
+  });
+
+  it("limits a district officer to the stations of their district", async (t) => {
+    const find = t.mock.method(PoliceStation, "find", () => ({ distinct: async () => ["Saddar", "Clifton"] }));
+    const scope = await getScopedStations({ role: "district-officer", district: "South" });
+    assert.deepEqual(scope, ["Saddar", "Clifton"]);
+    assert.deepEqual(find.mock.calls[0].arguments[0], { district: "South" });
+  });
+
+  it("gives staff without a jurisdiction nothing", async () => {
+    assert.deepEqual(await getScopedStations({ role: "station-incharge" }), []);
+  });
+});
+
+describe("badge access on routes", () => {
+  const incharge = createAdmin({ email: "saddar@example.com", role: "station-incharge", policeStation: "Saddar" });
+
+  it("refuses a station incharge a constable posted elsewhere", async (t) => {
+    t.mock.method(Constable, "findOne", async () => ({ badgeNumber: "C-1", policeStation: "Clifton" }));
+    const res = await request(app).get("/api/leaves/balance/C-1").set("Authorization", bearer(incharge));
+    assert.equal(res.status, 403);
+  });
+
+  it("refuses a constable someone else's records", async () => {
+    const constable = createPoliceUser({ batchNo: "C-2" });
+    const res = await request(app).get("/api/leaves/balance/C-3").set("Authorization", bearer(constable));
+    assert.equal(res.status, 403);
+  });
+
+  it("refuses a station incharge a query for another station", async () => {
+    const res = await request(app)
+      .get("/api/lockup/occupancy?policeStation=Clifton")
+      .set("Authorization", bearer(incharge));
+    assert.equal(res.status, 403);
+    assert.equal(res.body.message, "Record is outside your jurisdiction");
+  });
+});
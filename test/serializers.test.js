@@ -0,0 +1,78 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const mongoose = require("mongoose");
+
+const { app, internals, createAdmin, createPoliceUser, bearer } = require("./helpers");
+const { PoliceUserLogin, Constable, LoginLockout, serialize, viewFor } = internals;
+
+describe("serialize", () => {
+  it("returns only listed fields, with ids and dates as strings", () => {
+    const user = createPoliceUser({ batchNo: "S-1", password: "hash", tokenVersion: 4 });
+    const out = serialize("PoliceUserLogin", user, "self");
+
+    assert.equal(out.id, user._id.toString());
+    assert.equal(out._id, out.id);
+    assert.equal(out.batchNo, "S-1");
+    assert.equal(out.password, undefined);
+    assert.equal(out.tokenVersion, undefined);
+    assert.equal(out.__v, undefined);
+  });
+
+  it("narrows constables to public fields in the summary view", () => {
+    const constable = new Constable({
+      fullName: "Ali",
+      badgeNumber: "C-1",
+      policeStation: "Saddar",
+      contactNumber: "03001234567",
+      address: "Street 1",
+    });
+    const summary = serialize("Constable", constable, "summary");
+    assert.equal(summary.fullName, "Ali");
+    assert.equal(summary.contactNumber, undefined);
+    assert.equal(summary.address, undefined);
+    assert.equal(serialize("Constable", constable, "self").contactNumber, "03001234567");
+  });
+
+  it("maps arrays and leaves missing documents alone", () => {
+    const at = new Date("2026-01-02T03:04:05Z");
+    const out = serialize("LoginLockout", [{ _id: new mongoose.Types.ObjectId(), identifier: "B-1", lockedUntil: at }]);
+    assert.equal(out[0].lockedUntil, "2026-01-02T03:04:05.000Z");
+    assert.equal(serialize("LoginLockout", null), null);
+  });
+});
+
+describe("viewFor", () => {
+  it("gives staff the staff view and constables their own records only", () => {
+    assert.equal(viewFor({ role: "station-incharge" }, "C-1"), "staff");
+    assert.equal(viewFor({ role: "constable", batchNo: "C-1" }, "C-1"), "self");
+    assert.equal(viewFor({ role: "constable", batchNo: "C-1" }, "C-2"), "summary");
+  });
+});
+
+describe("routes", () => {
+  const admin = createAdmin();
+
+  it("never return password hashes from /api/police-users", async (t) => {
+    t.mock.method(PoliceUserLogin, "find", async () => [createPoliceUser({ password: "$2b$10$hash" })]);
+    const res = await request(app).get("/api/police-users").set("Authorization", bearer(admin));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body[0].password, undefined);
+  });
+
+  it("serialize lockout events", async (t) => {
+    const lockout = new LoginLockout({
+      accountKind: "mobile",
+      accountId: new mongoose.Types.ObjectId(),
+      identifier: "B-1",
+      lockedUntil: new Date(),
+    });
+    t.mock.method(LoginLockout, "find", () => ({ sort: () => ({ limit: async () => [lockout] }) }));
+
+    const res = await request(app).get("/api/lockouts").set("Authorization", bearer(admin));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(Object.keys(res.body.data[0]).sort(), ["_id", "accountId", "accountKind", "id", "identifier", "lockedUntil"]);
+  });
+});
@@ -0,0 +1,148 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+
+const { app, internals, createAdmin, createPoliceUser, bearer } = require("./helpers");
+const { Constable, Posting, ServiceRecord, rankAt } = internals;
+
+const records = createAdmin({ email: "records@example.com", role: "station-incharge", policeStation: "Saddar" });
+
+const newConstable = (fields = {}) =>
+  new Constable({ badgeNumber: "K-1", fullName: "Kashif", rank: "constable", policeStation: "Saddar", ...fields });
+const newEntry = (constable, fields) =>
+  new ServiceRecord({ constable: constable._id, badgeNumber: constable.badgeNumber, date: "2020-01-01", ...fields });
+
+// Rank changes the stubbed lookups answer from, as rankAt and the rank sync
+// query them: latest on or before a date, earliest, latest overall. Entries
+// pushed onto the returned list are found too.
+function stubRankChanges(t, constable, changes) {
+  const entries = changes.map((fields) => newEntry(constable, fields));
+  t.mock.method(ServiceRecord, "findOne", (filter) => ({
+    sort: async (order) => {
+      const eligible = entries.filter((entry) => !filter.date || entry.date <= filter.date.$lte);
+      eligible.sort((a, b) => (a.date - b.date) * (order.date === 1 ? 1 : -1));
+      return eligible[0] || null;
+    },
+  }));
+  return entries;
+}
+
+describe("rankAt", () => {
+  const constable = newConstable({ rank: "sub-inspector" });
+
+  it("takes the rank given by the latest change on or before the date", async (t) => {
+    stubRankChanges(t, constable, [
+      { type: "promotion", date: new Date("2018-03-01"), fromRank: "constable", toRank: "head constable" },
+      { type: "promotion", date: new Date("2022-07-01"), fromRank: "head constable", toRank: "sub-inspector" },
+    ]);
+    assert.equal(await rankAt(constable, new Date("2020-01-01")), "head constable");
+    assert.equal(await rankAt(constable, new Date("2024-01-01")), "sub-inspector");
+  });
+
+  it("falls back to the rank held before the first recorded change", async (t) => {
+    stubRankChanges(t, constable, [{ type: "promotion", date: new Date("2018-03-01"), fromRank: "constable", toRank: "head constable" }]);
+    assert.equal(await rankAt(constable, new Date("2015-01-01")), "constable");
+
+    stubRankChanges(t, constable, []);
+    assert.equal(await rankAt(constable, new Date("2015-01-01")), "sub-inspector");
+  });
+});
+
+describe("recording service entries", () => {
+  function stubConstable(t, constable, changes = []) {
+    t.mock.method(Constable, "findOne", async () => constable);
+    t.mock.method(Constable.prototype, "save", async function () {
+      return this;
+    });
+    const entries = stubRankChanges(t, constable, changes);
+    return t.mock.method(ServiceRecord, "create", async (fields) => {
+      const record = new ServiceRecord(fields);
+      entries.push(record);
+      return record;
+    });
+  }
+
+  const add = (body) => request(app).post("/api/service-records").set("Authorization", bearer(records)).send({ badgeNumber: "K-1", ...body });
+
+  it("promotes the constable and derives their current rank", async (t) => {
+    const constable = newConstable();
+    const create = stubConstable(t, constable);
+
+    const res = await add({ type: "promotion", date: "2024-01-15", toRank: "head constable", orderNumber: "SSP/2024/17" });
+
+    assert.equal(res.status, 201);
+    assert.equal(create.mock.calls[0].arguments[0].fromRank, "constable");
+    assert.equal(res.body.currentRank, "head constable");
+    assert.equal(constable.rank, "head constable");
+  });
+
+  it("refuses a promotion that does not raise the rank and an unknown rank", async (t) => {
+    stubConstable(t, newConstable({ rank: "inspector" }));
+
+    const down = await add({ type: "promotion", date: "2024-01-15", toRank: "sub-inspector" });
+    assert.equal(down.status, 400);
+    assert.equal(down.body.message, "A promotion cannot go from inspector to sub-inspector");
+
+    const unknown = await add({ type: "demotion", date: "2024-01-15", toRank: "cadet" });
+    assert.equal(unknown.status, 400);
+  });
+
+  it("validates fields by entry type", async () => {
+    const future = await add({ type: "promotion", date: "2099-01-01", toRank: "inspector" });
+    assert.equal(future.status, 400);
+
+    const untitled = await add({ type: "commendation", date: "2024-01-15" });
+    assert.equal(untitled.status, 400);
+
+    const ranked = await add({ type: "training", date: "2024-01-15", title: "Riot control", toRank: "inspector" });
+    assert.equal(ranked.status, 400);
+  });
+
+  it("opens inquiries and ties penalties to an inquiry on the same record", async (t) => {
+    const constable = newConstable();
+    const create = stubConstable(t, constable);
+    const inquiry = await add({ type: "inquiry", date: "2024-01-15", title: "Absence from duty" });
+    assert.equal(inquiry.status, 201);
+    assert.equal(create.mock.calls[0].arguments[0].inquiryStatus, "open");
+
+    ServiceRecord.findOne.mock.mockImplementation(async () => null);
+    const penalty = await add({ type: "penalty", date: "2024-02-01", title: "Censure", inquiry: constable._id.toString() });
+    assert.equal(penalty.status, 404);
+  });
+
+  it("restores the earlier rank when a rank change is deleted", async (t) => {
+    const constable = newConstable({ rank: "head constable" });
+    const promotion = newEntry(constable, { type: "promotion", fromRank: "constable", toRank: "head constable" });
+    t.mock.method(ServiceRecord, "findById", async () => promotion);
+    t.mock.method(ServiceRecord.prototype, "deleteOne", async () => ({}));
+    t.mock.method(Constable, "findById", async () => constable);
+    stubConstable(t, constable);
+
+    const res = await request(app).delete(`/api/service-records/${promotion._id}`).set("Authorization", bearer(records));
+
+    assert.equal(res.status, 200);
+    assert.equal(constable.rank, "constable");
+  });
+});
+
+describe("GET /api/service-book/:badgeNumber", () => {
+  it("lists entries and postings together, oldest first", async (t) => {
+    const constable = newConstable({ rank: "head constable" });
+    t.mock.method(Constable, "findOne", async () => constable);
+    t.mock.method(Posting, "findOne", () => ({ session: async () => ({}) }));
+    t.mock.method(Posting, "find", async () => [new Posting({ badgeNumber: "K-1", policeStation: "Saddar", from: new Date("2015-05-01") })]);
+    t.mock.method(ServiceRecord, "find", async () => [
+      newEntry(constable, { type: "commendation", date: new Date("2021-08-14"), title: "Bravery" }),
+      newEntry(constable, { type: "promotion", date: new Date("2018-03-01"), fromRank: "constable", toRank: "head constable" }),
+    ]);
+
+    const res = await request(app).get("/api/service-book/K-1").set("Authorization", bearer(createPoliceUser({ batchNo: "K-1" })));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.currentRank, "head constable");
+    assert.deepEqual(res.body.entries.map((entry) => entry.type), ["posting", "promotion", "commendation"]);
+    assert.equal(res.body.counts.promotion, 1);
+    assert.equal(res.body.counts.penalty, 0);
+    assert.equal(res.body.entries[1].recordedBy, undefined);
+  });
+});
@@ -0,0 +1,176 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+
+const { app, internals, createAdmin, bearer, stubSession } = require("./helpers");
+const {
+  Constable,
+  Duty,
+  DutySeries,
+  Detainee,
+  Weapon,
+  Vehicle,
+  Fir,
+  Posting,
+  PoliceStation,
+  TransferOrder,
+  stationNameReferences,
+  stationDependents,
+} = internals;
+
+const admin = createAdmin({ email: "stations@example.com" });
+const saddar = new PoliceStation({ name: "Saddar" });
+const clifton = new PoliceStation({ name: "Clifton" });
+
+function stubDependents(t, counts = {}) {
+  const stubs = {};
+  for (const [key, Model] of Object.entries({ constables: Constable, futureDuties: Duty, detainees: Detainee, weapons: Weapon, vehicles: Vehicle })) {
+    stubs[key] = t.mock.method(Model, "countDocuments", async () => counts[key] || 0);
+  }
+  return stubs;
+}
+
+describe("stationDependents", () => {
+  it("counts what still points at the station by id or name", async (t) => {
+    const stubs = stubDependents(t, { constables: 4, futureDuties: 9 });
+    assert.deepEqual(await stationDependents(saddar), { constables: 4, futureDuties: 9, detainees: 0, weapons: 0, vehicles: 0 });
+
+    const [constables] = stubs.constables.mock.calls[0].arguments;
+    assert.deepEqual(constables, { $or: [{ policeStation: "Saddar" }, { station: saddar._id }] });
+    assert.equal(stubs.detainees.mock.calls[0].arguments[0].status, "in-custody");
+    assert.deepEqual(stubs.vehicles.mock.calls[0].arguments[0].status, { $ne: "retired" });
+  });
+});
+
+describe("DELETE /api/stations/:id", () => {
+  function stubStations(t, counts, { target = clifton } = {}) {
+    t.mock.method(PoliceStation, "findById", async (id) => (String(id) === String(saddar._id) ? saddar : target));
+    stubDependents(t, counts);
+    return { session: stubSession(t), remove: t.mock.method(PoliceStation, "deleteOne", async () => ({ deletedCount: 1 })) };
+  }
+
+  const remove = (query = "") => request(app).delete(`/api/stations/${saddar._id}${query}`).set("Authorization", bearer(admin));
+
+  it("deletes a station nothing depends on", async (t) => {
+    const { session, remove: deleteOne } = stubStations(t, {});
+    const res = await remove();
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.reassigned, undefined);
+    assert.equal(deleteOne.mock.calls[0].arguments[1].session, session);
+    assert.equal(session.committed, true);
+  });
+
+  it("refuses while constables or duties remain and no target is given", async (t) => {
+    const { remove: deleteOne } = stubStations(t, { constables: 2, futureDuties: 5 });
+    const res = await remove();
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.dependents.constables, 2);
+    assert.equal(deleteOne.mock.callCount(), 0);
+  });
+
+  it("refuses while detainees or assets remain, even with a target", async (t) => {
+    stubStations(t, { detainees: 1, weapons: 3 });
+    const res = await remove(`?reassignTo=${clifton._id}`);
+    assert.equal(res.status, 409);
+    assert.equal(res.body.message, "Transfer detainees and retire or move weapons and vehicles before deleting the station");
+  });
+
+  it("checks the reassignment target", async (t) => {
+    stubStations(t, { constables: 1 }, { target: null });
+    assert.equal((await remove(`?reassignTo=${saddar._id}`)).status, 400);
+    assert.equal((await remove(`?reassignTo=${clifton._id}`)).status, 404);
+  });
+
+  it("changes nothing when a constable can no longer be moved", async (t) => {
+    const { remove: deleteOne } = stubStations(t, { constables: 1 });
+    t.mock.method(Constable, "find", async () => [new Constable({ badgeNumber: "K-1", station: saddar._id, policeStation: "Korangi" })]);
+
+    const res = await remove(`?reassignTo=${clifton._id}`);
+
+    assert.equal(res.status, 409);
+    assert.deepEqual(res.body.failed, [{ badgeNumber: "K-1", message: "Constable is now posted at Korangi, not Saddar" }]);
+    assert.equal(deleteOne.mock.callCount(), 0);
+  });
+
+  it("transfers constables and moves duties and templates with the delete", async (t) => {
+    const { session, remove: deleteOne } = stubStations(t, { constables: 1, futureDuties: 2 });
+    const constable = new Constable({ badgeNumber: "K-1", fullName: "Kashif", station: saddar._id, policeStation: "Saddar" });
+    const ownDuty = new Duty({ badgeNumber: "K-1", policeStation: "Saddar", dutyDate: new Date() });
+    const otherDuty = new Duty({ badgeNumber: "K-7", policeStation: "Saddar", dutyDate: new Date() });
+    t.mock.method(Constable, "find", async () => [constable]);
+
+    const inbound = new TransferOrder({ orderNumber: "TO-2026-30", toStation: saddar._id, status: "issued" });
+    t.mock.method(TransferOrder, "find", () => ({ session: async () => [inbound] }));
+    const cancelInbound = t.mock.method(TransferOrder, "updateMany", async () => ({}));
+    const createOrder = t.mock.method(TransferOrder, "create", async ([fields]) => [new TransferOrder(fields)]);
+    t.mock.method(TransferOrder, "updateOne", async () => ({}));
+    t.mock.method(Posting, "findOne", () => ({ session: async () => new Posting() }));
+    t.mock.method(Posting, "updateMany", async () => ({}));
+    t.mock.method(Posting, "create", async (docs) => docs);
+    t.mock.method(Constable, "updateOne", async () => ({}));
+    const dutyFinds = [[ownDuty], [ownDuty], [otherDuty]];
+    t.mock.method(Duty, "find", () => ({ session: async () => dutyFinds.shift() }));
+    const moveDuties = t.mock.method(Duty, "updateMany", async () => ({}));
+    const moveTemplates = t.mock.method(DutySeries, "updateMany", async () => ({}));
+
+    const res = await remove(`?reassignTo=${clifton._id}`);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.reassigned, { to: "Clifton", constables: ["K-1"], duties: 2 });
+    assert.equal(session.committed, true);
+    assert.equal(cancelInbound.mock.calls[0].arguments[1].status, "cancelled");
+    const order = createOrder.mock.calls[0].arguments[0][0];
+    assert.equal(order.dutyAction, "move");
+    assert.equal(order.reason, "Saddar closed");
+    assert.deepEqual(moveDuties.mock.calls.at(-1).arguments[1], { station: clifton._id, policeStation: "Clifton" });
+    assert.deepEqual(moveTemplates.mock.calls[0].arguments[1].$set, { "template.station": clifton._id, "template.policeStation": "Clifton" });
+    for (const write of [cancelInbound, moveDuties, moveTemplates, deleteOne]) {
+      assert.equal(write.mock.calls[0].arguments.at(-1).session, session);
+    }
+  });
+});
+
+describe("station references", () => {
+  it("carries a rename to every record that copies the name, filling in missing ids", async (t) => {
+    const renamed = new PoliceStation({ _id: saddar._id, name: "Saddar Town" });
+    t.mock.method(PoliceStation, "findById", async () => saddar);
+    t.mock.method(PoliceStation, "exists", async () => null);
+    t.mock.method(PoliceStation, "findByIdAndUpdate", async () => renamed);
+    t.mock.method(Fir, "aggregate", async () => []);
+    const updates = [];
+    for (const Model of new Set(stationNameReferences().map(([model]) => model))) {
+      t.mock.method(Model, "updateMany", async (filter, update) => updates.push([Model.modelName, filter, update]));
+    }
+
+    const res = await request(app).put(`/api/stations/${saddar._id}`).set("Authorization", bearer(admin)).send({ name: "Saddar Town" });
+
+    assert.equal(res.status, 200);
+    assert.equal(updates.length, stationNameReferences().length);
+    assert.deepEqual(updates[0], ["Constable", { policeStation: "Saddar" }, { $set: { policeStation: "Saddar Town", station: saddar._id } }]);
+    assert.ok(updates.some(([model, filter]) => model === "Detainee" && filter.transferredTo === "Saddar"));
+  });
+
+  it("migrates name-only references, matching names loosely and reporting the rest", async (t) => {
+    t.mock.method(PoliceStation, "find", async () => [saddar, clifton]);
+    const legacy = {
+      Constable: [new Constable({ badgeNumber: "K-1", policeStation: " saddar " }), new Constable({ badgeNumber: "K-2", policeStation: "Lyari" })],
+      Duty: [new Duty({ badgeNumber: "K-1", policeStation: "Clifton" })],
+    };
+    const writes = [];
+    for (const Model of [Constable, Duty]) {
+      t.mock.method(Model, "find", () => ({ cursor: () => legacy[Model.modelName] }));
+      t.mock.method(Model, "updateOne", async (filter, changes) => writes.push([Model.modelName, changes]));
+    }
+    const templates = t.mock.method(DutySeries, "updateMany", async () => ({}));
+
+    const res = await request(app).post("/api/stations/migrate-references").set("Authorization", bearer(admin));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.migrated, { Constable: 1, Duty: 1 });
+    assert.deepEqual(res.body.unmatched, [{ reference: "Constable: Lyari", count: 1 }]);
+    assert.deepEqual(writes[0], ["Constable", { station: saddar._id, policeStation: "Saddar" }]);
+    assert.equal(templates.mock.callCount(), 2);
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+
+const { app, internals, createAdmin, bearer, stubSession } = require("./helpers");
+const { Duty, Constable, PoliceStation, Posting, TransferOrder, transferOrderError, stationRefFilter } = internals;
+
+const saddar = new PoliceStation({ name: "Saddar" });
+const clifton = new PoliceStation({ name: "Clifton" });
+const officer = createAdmin({ email: "transfers@example.com", role: "district-officer", district: "South" });
+
+const newConstable = (fields = {}) =>
+  new Constable({ badgeNumber: "K-1", fullName: "Kashif", station: saddar._id, policeStation: "Saddar", ...fields });
+
+describe("transfer helpers", () => {
+  const order = new TransferOrder({ fromPoliceStation: "Saddar" });
+
+  it("explains why an order no longer applies", () => {
+    assert.equal(transferOrderError(order, null), "Constable no longer exists");
+    assert.equal(
+      transferOrderError(order, newConstable({ policeStation: "Clifton" })),
+      "Constable is now posted at Clifton, not Saddar"
+    );
+    assert.equal(transferOrderError(order, newConstable()), null);
+  });
+
+  it("matches station references by name, and by id when known", () => {
+    assert.deepEqual(stationRefFilter({ name: "Saddar" }), { $or: [{ policeStation: "Saddar" }] });
+    assert.deepEqual(stationRefFilter(saddar, "template."), {
+      $or: [{ "template.policeStation": "Saddar" }, { "template.station": saddar._id }],
+    });
+  });
+});
+
+describe("applying transfer orders", () => {
+  // Everything a transfer writes, recorded with the session it was written in
+  function stubTransfer(t, constable, { duties = [], pending = null } = {}) {
+    t.mock.method(PoliceStation, "find", () => ({ distinct: async () => ["Saddar", "Clifton"] }));
+    t.mock.method(Constable, "findOne", async () => constable);
+    t.mock.method(Constable, "findById", async () => constable);
+    t.mock.method(PoliceStation, "findById", async () => clifton);
+    t.mock.method(TransferOrder, "exists", async () => null);
+    t.mock.method(TransferOrder, "findOne", async () => pending);
+    t.mock.method(TransferOrder, "create", async (fields) => new TransferOrder(fields));
+    t.mock.method(Posting, "findOne", () => ({ session: async () => new Posting({ constable: constable._id }) }));
+
+    const moved = duties.map((duty) => new Duty({ ...duty.toObject(), policeStation: "Clifton" }));
+    const dutyFinds = [duties, moved];
+    const writes = {
+      session: stubSession(t),
+      closePostings: t.mock.method(Posting, "updateMany", async () => ({})),
+      openPosting: t.mock.method(Posting, "create", async (docs) => docs),
+      constable: t.mock.method(Constable, "updateOne", async () => ({})),
+      findDuties: t.mock.method(Duty, "find", () => ({ session: async () => dutyFinds.shift() })),
+      duties: t.mock.method(Duty, "updateMany", async () => ({})),
+      order: t.mock.method(TransferOrder, "updateOne", async () => ({})),
+    };
+    return writes;
+  }
+
+  const issue = (body) =>
+    request(app)
+      .post("/api/transfers")
+      .set("Authorization", bearer(officer))
+      .send({ orderNumber: "TO-2026-17", badgeNumber: "K-1", toStation: clifton._id.toString(), ...body });
+
+  it("applies an order already in effect in one transaction", async (t) => {
+    const constable = newConstable();
+    const duty = new Duty({ badgeNumber: "K-1", policeStation: "Saddar", dutyDate: "2026-06-12", shift: "9am to 5pm" });
+    const { session, ...writes } = stubTransfer(t, constable, { duties: [duty] });
+
+    const res = await issue({ effectiveDate: "2026-06-10T10:00:00Z", dutyAction: "move" });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.status, "applied");
+    assert.deepEqual(res.body.affectedDuties, [duty._id.toString()]);
+    assert.equal(session.committed, true);
+    assert.equal(writes.openPosting.mock.calls[0].arguments[1].session, session);
+    for (const write of [writes.closePostings, writes.constable, writes.duties, writes.order]) {
+      assert.equal(write.mock.calls[0].arguments[2].session, session);
+    }
+
+    assert.deepEqual(writes.closePostings.mock.calls[0].arguments[1], { to: new Date("2026-06-10T10:00:00Z") });
+    assert.equal(writes.openPosting.mock.calls[0].arguments[0][0].policeStation, "Clifton");
+    const dutyFilter = writes.findDuties.mock.calls[0].arguments[0];
+    assert.deepEqual(dutyFilter.$or, [{ policeStation: "Saddar" }, { station: saddar._id }]);
+    assert.deepEqual(dutyFilter.dutyDate, { $gte: new Date("2026-06-10T00:00:00Z") });
+    assert.equal(writes.duties.mock.calls[0].arguments[1].policeStation, "Clifton");
+  });
+
+  it("releases duties at the old station when asked to", async (t) => {
+    const duty = new Duty({ badgeNumber: "K-1", policeStation: "Saddar", dutyDate: "2026-06-12", shift: "9am to 5pm" });
+    const writes = stubTransfer(t, newConstable(), { duties: [duty] });
+
+    await issue({ effectiveDate: "2026-06-10T10:00:00Z", dutyAction: "release" });
+
+    const update = writes.duties.mock.calls[0].arguments[1];
+    assert.equal(update.status, "Cancelled");
+    assert.equal(update.cancelReason, "Released on transfer order TO-2026-17");
+  });
+
+  it("leaves a future order issued", async (t) => {
+    const { session } = stubTransfer(t, newConstable());
+    const res = await issue({ effectiveDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.status, "issued");
+    assert.equal(session.committed, false);
+  });
+
+  it("refuses a second order while one is pending", async (t) => {
+    stubTransfer(t, newConstable(), { pending: new TransferOrder({ orderNumber: "TO-2026-09" }) });
+    const res = await issue({ effectiveDate: "2026-06-10T10:00:00Z" });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.message, "Transfer order TO-2026-09 for this constable has not been applied yet");
+  });
+
+  it("reports stale orders when applying those due", async (t) => {
+    const constable = newConstable({ policeStation: "Clifton" });
+    const writes = stubTransfer(t, constable);
+    t.mock.method(TransferOrder, "find", () => ({
+      sort: async () => [
+        new TransferOrder({ orderNumber: "TO-2026-03", constable: constable._id, fromPoliceStation: "Saddar", effectiveDate: "2026-06-01" }),
+      ],
+    }));
+
+    const res = await request(app).post("/api/transfers/apply-due").set("Authorization", bearer(officer));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.applied, []);
+    assert.deepEqual(res.body.failed, [{ orderNumber: "TO-2026-03", message: "Constable is now posted at Clifton, not Saddar" }]);
+    assert.equal(writes.order.mock.callCount(), 0);
+  });
+});
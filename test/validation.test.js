@@ -0,0 +1,79 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+
+const { app, internals, createAdmin, bearer } = require("./helpers");
+const { Joi, validate } = internals;
+
+// Run the middleware and report what it did
+function runValidate(schemas, req) {
+  let status = null;
+  let body = null;
+  let passed = false;
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json(payload) {
+      body = payload;
+      return this;
+    },
+  };
+  validate(schemas)(req, res, () => (passed = true));
+  return { status, body, passed, req };
+}
+
+describe("validate", () => {
+  it("reports every failure with its location in one 400", () => {
+    const { status, body, passed } = runValidate(
+      {
+        params: Joi.object({ id: Joi.string().hex().length(24).required() }),
+        body: Joi.object({ name: Joi.string().required(), age: Joi.number() }),
+      },
+      { params: { id: "z".repeat(24) }, body: { age: "old" } }
+    );
+
+    assert.equal(passed, false);
+    assert.equal(status, 400);
+    assert.deepEqual(
+      body.errors.map((e) => [e.location, e.field]),
+      [["params", "id"], ["body", "name"], ["body", "age"]]
+    );
+  });
+
+  it("passes converted values on to the handler", () => {
+    const { passed, req } = runValidate(
+      { query: Joi.object({ page: Joi.number().default(1), active: Joi.boolean() }) },
+      { query: { active: "true" } }
+    );
+    assert.equal(passed, true);
+    assert.deepEqual(req.query, { page: 1, active: true });
+  });
+
+  it("accepts string arrays as JSON from multipart forms", () => {
+    const schema = Joi.object({ weapons: Joi.stringArray() });
+    assert.deepEqual(schema.validate({ weapons: '["SMG", " Pistol "]' }).value.weapons, ["SMG", "Pistol"]);
+    assert.deepEqual(schema.validate({ weapons: ["SMG"] }).value.weapons, ["SMG"]);
+    assert.match(schema.validate({ weapons: "[oops" }).error.message, /must be a JSON array of strings/);
+  });
+});
+
+describe("validated routes", () => {
+  const admin = createAdmin();
+
+  it("refuse malformed ids before touching the database", async () => {
+    const res = await request(app).patch("/api/leaves/not-an-id/review").set("Authorization", bearer(admin)).send({ decision: "approved" });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors[0].location, "params");
+  });
+
+  it("refuse unknown fields and bad values", async () => {
+    const res = await request(app)
+      .post("/api/leaves")
+      .set("Authorization", bearer(admin))
+      .send({ type: "holiday", fromDate: "2026-05-02", toDate: "2026-05-01", extra: true });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors.map((e) => e.field).sort(), ["extra", "toDate", "type"]);
+  });
+});